@@ -8,170 +8,1181 @@
  * MIT License — Novyx Labs
  */
 
-const axios = require('axios');
 require('dotenv').config();
+const path = require('path');
+const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createBackend, HttpBackend, LocalBackend } = require('./lib/backends');
+const WriteQueue = require('./lib/queue');
+const Journal = require('./lib/journal');
+const Checkpoints = require('./lib/checkpoints');
+const Lifecycle = require('./lib/lifecycle');
+const { verifyChain } = require('./lib/audit');
+const ContextBuilder = require('./lib/context');
+const { extractFacts, classify } = require('./lib/capture');
+const Redactor = require('./lib/redact');
+const { parseQuery, matchesFilters, extractHashtags } = require('./lib/query');
+const { MAX_GRAPH_DEPTH, normalizeTriple, tripleKey, formatTriple, neighborhood, toMermaid, toDot, mentionedTriples } = require('./lib/graph');
+const CommandRegistry = require('./lib/commands');
+const { CommandResult, CommandUsageError, CommandPermissionError } = CommandRegistry;
+const { resolveIdentity, isAdmin, ownerTags, allowedTags, canSee } = require('./lib/identity');
+const { getTool, validateArgs, ToolError, ToolResult } = require('./lib/tools');
+const { parseTime, formatTime, checkTimeOptions, defaultTimeZone, defaultLocale } = require('./lib/time');
+const errors = require('./lib/errors');
+const createLogger = require('./lib/logger');
+const RecallCache = require('./lib/cache');
+const UsageThrottle = require('./lib/throttle');
+const McpServer = require('./lib/mcp');
+const HttpApi = require('./lib/http-api');
+const { FORMAT_VERSION, writeExport, readRecords, IdMap, recordKey, resolveInside } = require('./lib/transfer');
 
 const VERSION = '2.0.0';
 
-class NovyxMemory {
+// Commands only admins may run once hooks identify the speaker (override with adminCommands)
+const DEFAULT_ADMIN_COMMANDS = ['rollback', 'checkpoint', 'forget', 'pin', 'unpin', 'prune', 'undo', 'redo', 'history', 'export', 'import'];
+
+// Built-in chat commands; `method` is the handler, called with the parsed ctx like any registered command
+const BUILTIN_COMMANDS = [
+  {
+    name: 'remember',
+    method: 'handleRemember',
+    summary: 'Save a specific fact, optionally tagged',
+    usage: '<text> [#tag ...]',
+    args: [{ name: 'text', required: true, rest: true, description: 'The fact to save; trailing #tags become memory tags' }],
+    examples: ['!remember We use Python 3.11 #stack'],
+  },
+  {
+    name: 'search',
+    method: 'handleSearch',
+    summary: 'Semantic search with filters',
+    usage: '<query> [tag:x role:user session:current since:2d until:1h limit:N]',
+    args: [{ name: 'query', required: true, rest: true, description: 'Search text plus optional inline filters' }],
+    examples: ['!search postgres role:user since:2d limit:20'],
+  },
+  {
+    name: 'rollback',
+    method: 'handleRollback',
+    summary: 'Preview a rewind to a checkpoint, audit hash or time, then `!rollback confirm`',
+    usage: '<name|time|hash>',
+    args: [{ name: 'target', rest: true, description: 'Checkpoint name, audit hash prefix, or time such as "2h30m", "yesterday 5pm" or "last monday" (default: 1 hour ago)' }],
+    details: ['`!rollback confirm` executes the previewed rollback; `!rollback cancel` discards it.'],
+    examples: ['!rollback before-migration', '!rollback 2 days ago', '!rollback yesterday 5pm'],
+  },
+  {
+    name: 'checkpoint',
+    method: 'handleCheckpoint',
+    summary: 'Save a named restore point (no name lists them)',
+    usage: '[name]',
+    args: [{ name: 'name', rest: true, description: 'Checkpoint name' }],
+    details: ['`!checkpoint delete <name>` removes one. Names can\'t start with `list`, `delete`, `confirm` or `cancel`, or read as a time or audit hash.'],
+    examples: ['!checkpoint before-migration'],
+  },
+  {
+    name: 'forget',
+    method: 'handleForget',
+    summary: 'Preview memories matching a topic, then `!forget confirm [1,3]` to delete',
+    usage: '<topic>',
+    args: [{ name: 'topic', required: true, rest: true, description: 'What to forget' }],
+    details: [
+      '`!forget confirm [1,3]` deletes the previewed memories (all, or by number).',
+      '`!forget cancel` discards the preview; `!forget restore` brings back the last forgotten batch.',
+    ],
+    examples: ['!forget old deployment config', '!forget confirm 1,3'],
+  },
+  {
+    name: 'pin',
+    method: 'handlePin',
+    summary: 'Pin the best match for a query (no query lists pins)',
+    usage: '[query]',
+    args: [{ name: 'query', rest: true, description: 'Text of the memory to pin' }],
+    details: ['Pinned memories rank higher in recall and are never pruned. `#pinned` on `!remember` pins as it saves.'],
+    examples: ['!pin staging database'],
+  },
+  {
+    name: 'unpin',
+    method: 'handleUnpin',
+    summary: 'Unpin a memory by its number in `!pin` or its text',
+    usage: '<N|text>',
+    args: [{ name: 'pin', required: true, rest: true, description: 'Number from the `!pin` list, ID prefix, or text' }],
+  },
+  {
+    name: 'prune',
+    method: 'handlePrune',
+    summary: 'Delete memories past their retention policy (`--dry-run` to preview)',
+    usage: '[--dry-run|restore]',
+    args: [{ name: 'action', description: '`restore` to bring back the last prune' }],
+    flags: { 'dry-run': { type: 'boolean', description: 'List what would be deleted without deleting it' } },
+    details: ['`!prune restore` brings back the most recent prune, including background sweeps.'],
+  },
+  {
+    name: 'undo',
+    method: 'handleUndo',
+    summary: 'Undo last N saves or forgets (default: 1)',
+    usage: '[N]',
+    args: [{ name: 'count', description: 'How many changes to undo' }],
+  },
+  {
+    name: 'redo',
+    method: 'handleRedo',
+    summary: 'Reapply last N undone changes (default: 1)',
+    usage: '[N]',
+    args: [{ name: 'count', description: 'How many changes to redo' }],
+  },
+  {
+    name: 'history',
+    method: 'handleHistory',
+    summary: 'Show the undo journal for this session (or all sessions)',
+    usage: '[N] [all]',
+    args: [
+      { name: 'count', description: 'How many entries to show (default: 10)' },
+      { name: 'all', description: '`all` to include every session' },
+    ],
+  },
+  {
+    name: 'audit',
+    method: 'handleAudit',
+    summary: 'Show last N operations with hashes (default: 10)',
+    usage: '[N] [since:<time>]',
+    args: [{ name: 'range', rest: true, description: 'How many entries, and/or since:<time> (e.g. since:yesterday 9am)' }],
+    examples: ['!audit 5', '!audit since:yesterday 9am'],
+  },
+  {
+    name: 'verify',
+    method: 'handleVerify',
+    summary: 'Recompute the audit hash chain and report tampering (default: last 100)',
+    usage: '[N|since]',
+    args: [{ name: 'range', rest: true, description: 'How many recent entries, or a time to check from' }],
+    examples: ['!verify 500', '!verify 2 days ago'],
+  },
+  {
+    name: 'edges',
+    method: 'handleEdges',
+    summary: 'Query the knowledge graph, or walk N hops out from an entity',
+    usage: '[entity] [predicate:x object:y depth:N format:mermaid|dot limit:N]',
+    args: [{ name: 'query', rest: true, description: 'Entity (quote multi-word names) and inline filters' }],
+    examples: ['!edges "Acme Corp" depth:2 format:mermaid'],
+  },
+  {
+    name: 'relate',
+    method: 'handleRelate',
+    summary: 'Add a knowledge graph edge (`!relate delete ...` removes it)',
+    usage: '<subject> <predicate> <object> [confidence:0.9]',
+    args: [
+      { name: 'subject', required: true },
+      { name: 'predicate', required: true },
+      { name: 'object', required: true, rest: true },
+    ],
+    details: [
+      'Quote multi-word names.',
+      'Edges belong to the speaker who adds them, like memories. `!relate delete` removes an edge for everyone, so only admins may run it.',
+    ],
+    examples: ['!relate "Acme Corp" uses Postgres'],
+  },
+  {
+    name: 'export',
+    method: 'handleExport',
+    summary: 'Write all memories and graph triples to a file',
+    usage: '[jsonl|md] [file]',
+    args: [
+      { name: 'format', description: '`jsonl` (default, importable) or `md`' },
+      { name: 'file', rest: true, description: 'File name (default: a timestamped name)' },
+    ],
+    details: ['Files are written under `<storagePath>/exports/`; absolute paths and `..` are refused (the CLI accepts any path).'],
+  },
+  {
+    name: 'import',
+    method: 'handleImport',
+    summary: 'Load a JSONL export (resumable, skips duplicates)',
+    usage: '<file>',
+    args: [{ name: 'file', required: true, rest: true, description: 'A JSONL file written by `!export`' }],
+    details: ['Files are read from `<storagePath>/exports/`; absolute paths and `..` are refused (the CLI accepts any path).'],
+  },
+  {
+    name: 'status',
+    method: 'handleStatus',
+    summary: 'Memory usage, tier, and rollback count',
+    usage: '',
+  },
+  {
+    name: 'help',
+    method: 'handleHelp',
+    summary: 'This menu, or `!help <command>` for details',
+    usage: '[command]',
+    args: [{ name: 'command' }],
+  },
+];
+
+// Backend operations that change what a search can return
+const WRITE_OPS = new Set(['createMemory', 'deleteMemory', 'rollback']);
+
+// Backend operations that are replayed from the offline queue when they fail
+const QUEUEABLE_OPS = new Set(['createMemory', 'deleteMemory']);
+
+class NovyxMemory extends EventEmitter {
   constructor(config = {}) {
+    super();
+    // Leveled logging (pass logger: false to silence, or your own logger)
+    this.logger = createLogger(config.logger === undefined ? console : config.logger, config.logLevel || 'info');
+    // Command replies as CommandResult objects instead of strings
+    this.richResults = config.richResults === true;
+    // Per-command record of errors and result data, for rich results
+    this._commandScope = new AsyncLocalStorage();
+
     this.apiKey = config.apiKey || process.env.NOVYX_API_KEY;
-    this.apiUrl = config.apiUrl || process.env.NOVYX_API_URL || 'https://novyx-ram-api.fly.dev';
+    this.apiUrl = config.apiUrl || process.env.NOVYX_API_URL || HttpBackend.DEFAULT_API_URL;
+    this.storagePath = config.storagePath || process.env.NOVYX_STORAGE_PATH;
+    this.agentId = config.agentId || process.env.NOVYX_AGENT_ID || 'default';
     this.autoSave = config.autoSave !== false;
     this.autoRecall = config.autoRecall !== false;
     this.recallLimit = config.recallLimit || 5;
+    this.forgetThreshold = config.forgetThreshold ?? 0.65;
+    this.confirmTimeout = config.confirmTimeout || 5 * 60 * 1000;
+    this.restoreWindow = config.restoreWindow || 24 * 60 * 60 * 1000;
+
+    // Zone and locale for reading time expressions ("yesterday 5pm", 03/04) and showing times
+    this.timeZone = config.timeZone || process.env.NOVYX_TIMEZONE || defaultTimeZone();
+    this.locale = config.locale || process.env.NOVYX_LOCALE || defaultLocale();
+    checkTimeOptions({ timeZone: this.timeZone, locale: this.locale });
+
+    // Auto-save pipeline: fact extraction + near-duplicate suppression
+    this.extractor = config.extractor || null;
+    this.dedupe = config.dedupe !== false;
+    this.captureOptions = {
+      duplicateThreshold: config.duplicateThreshold,
+      relatedThreshold: config.relatedThreshold,
+    };
+    this.maxFactsPerTurn = config.maxFactsPerTurn || 5;
+
+    // Hook auto-captures are collected for captureBatchDelay ms and saved together
+    this.captureBatchDelay = config.captureBatchDelay ?? 2000;
+    this.captureBatchSize = config.captureBatchSize || 10;
+    this._captureBatch = [];
+    this._captureTimer = null;
+    this._flushOnExit = () => this._backgroundFlush();
+    this._turnRecall = new Map(); // sessionId -> memories the last onMessage recalled
+
+    // Search results are cached (and identical searches coalesced) until the next write
+    this.recallCache = new RecallCache({ maxEntries: config.recallCacheSize, ttl: config.recallCacheTtl });
+
+    // Scales auto-capture down as the tier's quotas fill up (disable with throttle: false)
+    this.throttle = config.throttle === false
+      ? null
+      : new UsageThrottle({
+        fetchUsage: () => this.usage(),
+        softLimit: config.throttleSoftLimit,
+        hardLimit: config.throttleHardLimit,
+        refreshInterval: config.usageRefreshInterval,
+      });
+
+    // Ranks, dedupes and budgets recalled memories before injection
+    this.context = new ContextBuilder(config);
+    this.lastContext = [];
 
-    // Session write log for !undo (transient — resets on restart)
-    this._writeLog = [];
+    // Knowledge graph facts injected next to recalled memories (opt-in)
+    this.graphContext = config.graphContext === true;
+    this.graphContextLimit = config.graphContextLimit || 5;
+    this.graphCacheTtl = config.graphCacheTtl ?? 60 * 1000;
+    this._graphCache = null;
+    this.lastFacts = [];
 
-    if (!this.apiKey) {
-      console.warn('[NovyxMemory] No API key. Get a free one at https://novyxlabs.com (5,000 memories, no credit card)');
+    // Multi-user scoping: who is an admin, and which users belong to which shared spaces
+    this.admins = config.admins || (process.env.NOVYX_ADMINS || '').split(',').map(id => id.trim()).filter(Boolean);
+    this.spaces = config.spaces || {};
+
+    // Destructive commands waiting for confirmation, keyed by kind + session
+    this._pending = new Map();
+
+    // Storage backend: 'http' (hosted API), 'local' (offline file store) or a custom object
+    this.backend = createBackend({
+      backend: config.backend || process.env.NOVYX_BACKEND,
+      apiKey: this.apiKey,
+      apiUrl: this.apiUrl,
+      storagePath: this.storagePath,
+      timeout: config.requestTimeout,
+    });
+
+    const storageDir = this.storagePath || LocalBackend.DEFAULT_STORAGE_PATH;
+    this.storageDir = storageDir;
+    const agentFile = `${this.agentId.replace(/[^\w.-]/g, '_')}.json`;
+
+    // Durable undo/redo journal of every mutation, per agent (survives restarts)
+    this.journal = this.backend
+      ? new Journal({
+        file: config.journalPath || path.join(storageDir, 'journal', agentFile),
+        limit: config.journalLimit,
+      })
+      : null;
+
+    // Named restore points for !rollback
+    this.checkpoints = this.backend
+      ? new Checkpoints({ file: config.checkpointsPath || path.join(storageDir, 'checkpoints', agentFile) })
+      : null;
+
+    // Pins, per-tag retention and importance decay; pruneInterval runs !prune in the background
+    this.lifecycle = this.backend
+      ? new Lifecycle({
+        file: config.lifecyclePath || path.join(storageDir, 'lifecycle', agentFile),
+        retention: { ...Lifecycle.DEFAULT_RETENTION, ...config.retention },
+        halfLife: config.importanceHalfLife,
+        minImportance: config.minImportance,
+      })
+      : null;
+    this._pruneTimer = null;
+    if (this.lifecycle && config.pruneInterval > 0) {
+      this._pruneTimer = setInterval(() => this._sweep(), config.pruneInterval);
+      if (this._pruneTimer.unref) this._pruneTimer.unref();
     }
 
-    this.commands = [
-      { trigger: '!remember', handler: this.handleRemember.bind(this) },
-      { trigger: '!search', handler: this.handleSearch.bind(this) },
-      { trigger: '!rollback', handler: this.handleRollback.bind(this) },
-      { trigger: '!forget', handler: this.handleForget.bind(this) },
-      { trigger: '!undo', handler: this.handleUndo.bind(this) },
-      { trigger: '!audit', handler: this.handleAudit.bind(this) },
-      { trigger: '!edges', handler: this.handleEdges.bind(this) },
-      { trigger: '!status', handler: this.handleStatus.bind(this) },
-      { trigger: '!help', handler: this.handleHelp.bind(this) },
-    ];
+    // Secret/PII redaction in front of every write (disable with redact: false)
+    this.redactor = config.redact === false
+      ? null
+      : new Redactor({
+        rules: config.redactionRules,
+        actions: config.redactionActions,
+        salt: config.redactionSalt,
+        saltPath: path.join(storageDir, 'redaction-salt'),
+        logPath: config.redactionLogPath || path.join(storageDir, 'redactions.jsonl'),
+      });
+
+    // Failed writes/deletes are persisted per agent and retried (disable with offlineQueue: false)
+    this.queue = null;
+    if (this.backend && config.offlineQueue !== false) {
+      this.queue = new WriteQueue({
+        file: config.queuePath || path.join(storageDir, 'queue', agentFile),
+        execute: item => this._replay(item),
+        maxAttempts: config.queueMaxAttempts,
+        logger: this.logger,
+        onDrop: (item, error) => this._handleError(error, `queued ${item.op}`),
+      });
+      this.queue.schedule();
+    }
+
+    if (!this.backend) {
+      this.logger.warn('No API key. Get a free one at https://novyxlabs.com (5,000 memories, no credit card), or set backend: \'local\' for offline storage.');
+    }
+
+    // Chat commands; extend with registerCommand()
+    this.commands = new CommandRegistry({ prefix: config.commandPrefix });
+    const adminCommands = new Set(config.adminCommands || DEFAULT_ADMIN_COMMANDS);
+    for (const { method, ...spec } of BUILTIN_COMMANDS) {
+      this.commands.register({
+        ...spec,
+        admin: adminCommands.has(spec.name),
+        handler: ctx => this[method](ctx),
+      });
+    }
+  }
+
+  /**
+   * Add a chat command (see lib/commands.js for the spec). The handler gets
+   * { args, flags, positionals, input, message, sessionId, command, user, memory }
+   * and returns the reply. Set `raw: true` to skip argument parsing.
+   */
+  registerCommand(spec, opts) {
+    return this.commands.register(spec, opts);
+  }
+
+  /**
+   * A hook's `user` argument (string ID or { id, role, spaces }) as
+   * { id, role, spaces }, with `admins` and `spaces` from the config applied.
+   */
+  resolveUser(user) {
+    return resolveIdentity(user, { admins: this.admins, spaces: this.spaces });
+  }
+
+  unregisterCommand(name) {
+    return this.commands.unregister(name);
   }
 
-  // ---- Centralized API Helper ----
+  /**
+   * Runs the command a message invokes; null if it isn't one. Replies are
+   * strings, or CommandResult objects ({ ok, command, text, data, error })
+   * when `rich` (default: the richResults option) is set. `user` is the
+   * speaker; admin-only commands are refused for anyone else. `!export` and
+   * `!import` paths stay under `<storageDir>/exports` unless `fileAccess` is
+   * set (the CLI sets it; chat never should).
+   */
+  async runCommand(message, sessionId, { rich = this.richResults, user = null, fileAccess = false } = {}) {
+    const matched = this.commands.match(message);
+    if (!matched) return null;
+    const { command, input } = matched;
+    const identity = this.resolveUser(user);
+    const scope = { errors: [], data: null, user: identity, fileAccess };
+    const finish = (text, data = scope.data) => {
+      // Replies are written with `!`; show the configured prefix instead
+      if (typeof text === 'string' && this.commands.prefix !== '!') {
+        text = text.replace(/`!([\w-]+)/g, (match, name) => (this.commands.get(name) ? `\`${this.commands.trigger(name)}` : match));
+      }
+      return rich ? new CommandResult({ command: command.name, text, data, errors: scope.errors }) : text;
+    };
+
+    if (command.admin && !isAdmin(identity)) {
+      scope.errors.push(new CommandPermissionError(command, `${this.commands.trigger(command.name)} is restricted to admins`));
+      return finish(`\`${this.commands.trigger(command.name)}\` is restricted to admins.`);
+    }
+    const ctx = { args: {}, flags: {}, positionals: [], input, message, sessionId, command: command.name, user: identity, memory: this };
+    if (!command.raw) {
+      try {
+        Object.assign(ctx, this.commands.parse(command, input));
+      } catch (error) {
+        if (!(error instanceof CommandUsageError)) throw error;
+        scope.errors.push(error);
+        return finish(`${error.message}. Usage: \`${this.commands.usage(command)}\` (see \`${this.commands.trigger('help')} ${command.name}\`)`);
+      }
+    }
+    const reply = await this._commandScope.run(scope, () => command.handler(ctx));
+    if (typeof reply === 'string' || reply == null) return finish(reply ?? null);
+    if (!rich) return reply;
+    // Custom handlers may return data; its text is whatever they put in `text`
+    return finish(typeof reply.text === 'string' ? reply.text : null, scope.data ?? reply);
+  }
 
-  async _apiCall(method, path, data = null, params = null) {
-    if (!this.apiKey) return null;
+  /**
+   * Runs a memory tool (see lib/tools.js) with JSON arguments, as the MCP
+   * server and HTTP API do. Resolves to a ToolResult ({ ok, tool, data,
+   * error }); an unknown tool, bad arguments or a refused `user` give a
+   * ToolError. `sessionId` is used unless an admin's arguments name a session.
+   */
+  async callTool(name, args = {}, { sessionId = null, user = null } = {}) {
+    const tool = getTool(name);
+    const identity = this.resolveUser(user);
+    const scope = { errors: [], data: null, user: identity };
     try {
-      const config = {
-        method,
-        url: `${this.apiUrl}${path}`,
-        headers: { 'Authorization': `Bearer ${this.apiKey}` },
-        timeout: path.includes('rollback') ? 30000 : 10000,
-      };
-      if (data) config.data = data;
-      if (params) config.params = params;
-      const response = await axios(config);
-      return response.data;
+      if (!tool) throw new ToolError(`Unknown tool "${name}"`, { code: 'unknown_tool', tool: name });
+      validateArgs(tool, args);
+      if (tool.command && this.commands.get(tool.command)?.admin && !isAdmin(identity)) {
+        throw new ToolError(`${name} is restricted to admins`, { code: 'forbidden', tool: name });
+      }
+      // Another session's undo history is an admin's business
+      if (args.session != null && args.session !== sessionId && !isAdmin(identity)) {
+        throw new ToolError(`${name}: only admins may pick a session`, { code: 'forbidden', tool: name });
+      }
+      const ctx = { sessionId: args.session ?? sessionId, user: identity, errors: scope.errors };
+      const data = await this._commandScope.run(scope, () => tool.run(this, args, ctx));
+      return new ToolResult({ tool: name, data, errors: scope.errors });
     } catch (error) {
-      this._handleError(error, path);
+      if (!(error instanceof ToolError)) throw error;
+      // The backend's typed error says more than "Failed to save"
+      const errors = error.code === 'failed' && scope.errors.length > 0 ? scope.errors : [...scope.errors, error];
+      return new ToolResult({ tool: name, errors });
+    }
+  }
+
+  // ---- Centralized Backend Helper ----
+
+  async _call(op, ...args) {
+    return this._callWithMeta(op, args, null);
+  }
+
+  // `meta` is kept with the item if the call ends up in the write queue
+  async _callWithMeta(op, args, meta) {
+    if (!this.backend) return null;
+    this.lastError = null;
+    try {
+      const result = await this.backend[op](...args);
+      if (WRITE_OPS.has(op) && !args[0]?.dry_run) this.recallCache.clear();
+      return result;
+    } catch (error) {
+      this.lastError = this._handleError(error, op);
+      if (this.queue && QUEUEABLE_OPS.has(op) && WriteQueue.isRetryable(error)) {
+        this.queue.enqueue(op, args, error, meta);
+        return { queued: true };
+      }
       return null;
     }
   }
 
-  // ---- Core API Methods ----
+  // Called by the write queue; throws so the queue can back off and retry
+  async _replay(item) {
+    if (item.op === 'createMemory') {
+      const { observation, tags } = item.args[0];
+      // The original request may have landed before it timed out
+      const existing = await this.backend.searchMemories({ q: observation, limit: 5 });
+      if ((existing?.memories || []).some(m => m.observation === observation)) return null;
+      const result = await this.backend.createMemory({ observation, tags });
+      this.recallCache.clear();
+      // Items queued before the session was stored fall back to its tag
+      this._journalWrite(result, observation, tags, item.meta?.sessionId ?? sessionFromTags(tags));
+      return result;
+    }
+    if (item.op === 'deleteMemory') {
+      try {
+        const result = await this.backend.deleteMemory(...item.args);
+        this.recallCache.clear();
+        return result;
+      } catch (error) {
+        // Already gone — that's what we wanted
+        if (error.response?.status === 404) return { deleted: true };
+        throw error;
+      }
+    }
+    throw new Error(`Cannot replay unknown operation "${item.op}"`);
+  }
 
-  async remember(observation, tags = []) {
-    if (!this.apiKey || !this.autoSave) return null;
-    const result = await this._apiCall('post', '/v1/memories', { observation, tags });
+  // Write + journal, no autoSave check or redaction — callers do both
+  async _save(observation, tags, sessionId) {
+    const result = await this._callWithMeta('createMemory', [{ observation, tags }], { sessionId: sessionId ?? null });
+    this._journalWrite(result, observation, tags, sessionId);
     if (result) {
-      const id = result.uuid || result.id;
-      if (id) {
-        this._writeLog.push({
-          id,
-          observation: observation.slice(0, 80),
-          at: new Date().toISOString(),
-        });
-      }
+      this.emit('remember', {
+        id: result.uuid || result.id || null,
+        observation,
+        tags,
+        sessionId: sessionId ?? null,
+        queued: !!result.queued,
+      });
     }
     return result;
   }
 
+  _journalWrite(result, observation, tags, sessionId) {
+    const id = result && (result.uuid || result.id);
+    if (id && this.journal) {
+      this.journal.record({ type: 'remember', id, observation, tags, sessionId });
+    }
+  }
+
+  // ---- Core API Methods ----
+
+  // `force` saves even with autoSave off; `user` adds the owner tag
+  async remember(observation, tags = [], { force = false, user = null } = {}) {
+    if (!this.backend || (!this.autoSave && !force)) return null;
+    tags = [...tags, ...ownerTags(this.resolveUser(user))];
+    const clean = this._redact(observation, { source: 'remember', tags });
+    if (clean === null) return { dropped: true };
+    return this._save(clean, tags, sessionFromTags(tags));
+  }
+
+  /**
+   * Auto-save pipeline: split a turn into facts, then save, skip (duplicate),
+   * merge (replaces the memory it extends) or supersede (tags the memory it
+   * contradicts) each one. Returns one { fact, action, id, matchId } per fact.
+   * `recent` collects what was saved so later captures in a batch see it
+   * before the backend has indexed it. Facts are compared with `existing`
+   * (the memories the turn already recalled) or, without it, the results of
+   * one search for the whole turn. With a `user`, facts are only
+   * compared with memories that user can see, so another user's copy of the
+   * same fact doesn't stop theirs being saved.
+   */
+  async capture(text, tags = [], { existing = null, maxFacts = this.maxFactsPerTurn, recent = null, user = null } = {}) {
+    const identity = this.resolveUser(user);
+    if (!this.backend || !this.autoSave) return [];
+    // Redact before extraction so secrets never reach a custom extractor either
+    const clean = this._redact(text, { source: 'capture', tags });
+    if (clean === null) return [{ fact: null, action: 'dropped', id: null, matchId: null }];
+    const facts = (await this._extract(clean, tags)).slice(0, maxFacts);
+    const outcomes = [];
+    // One search per turn, not one per fact
+    const nearby = existing || (facts.length > 0 ? await this._nearby(clean, identity, facts.length * 3) : []);
+    for (const fact of facts) {
+      const candidates = [...nearby, ...(recent || [])].filter(m => canSee(identity, m));
+      const { action, match } = this.dedupe
+        ? classify(fact, candidates, this.captureOptions)
+        : { action: 'save', match: null };
+      const matchId = match ? (match.uuid || match.id) : null;
+      if (action === 'skip') {
+        outcomes.push({ fact, action, id: null, matchId });
+        continue;
+      }
+
+      const linkTags = action === 'supersede' ? [`supersedes:${matchId}`]
+        : action === 'merge' ? [`merges:${matchId}`]
+        : [];
+      const result = await this._save(fact, [...tags, ...linkTags], sessionFromTags(tags));
+      if (action === 'merge' && result && !result.queued) {
+        const deleted = await this.forget(matchId);
+        if (recent) recent.splice(0, recent.length, ...recent.filter(m => (m.uuid || m.id) !== matchId));
+        if (deleted) {
+          this.journal.record({
+            type: 'forget',
+            id: matchId,
+            observation: match.observation,
+            tags: match.tags || [],
+            sessionId: sessionFromTags(tags),
+          });
+        }
+      }
+      const id = result ? (result.uuid || result.id || null) : null;
+      if (recent && id) recent.push({ uuid: id, observation: fact, tags });
+      outcomes.push({ fact, action, id, matchId });
+    }
+    return outcomes;
+  }
+
+  /**
+   * Save pending hook auto-captures now. Facts repeated within the batch are
+   * saved once, and the usage throttle decides how much is kept: everything,
+   * user turns only (one fact each), or nothing while paused. A turn that
+   * throws goes back in the batch once; a second failure drops it with a warning.
+   */
+  async flushCaptures() {
+    clearTimeout(this._captureTimer);
+    this._captureTimer = null;
+    process.removeListener('beforeExit', this._flushOnExit);
+    let batch = this._captureBatch.splice(0);
+    if (batch.length === 0 || !this.backend || !this.autoSave) return [];
+    let throttled;
+    try {
+      throttled = this.throttle ? await this.throttle.check() : { mode: 'full' };
+    } catch (error) {
+      this._captureBatch.unshift(...batch);
+      throw error;
+    }
+    const { mode, reason } = throttled;
+    let maxFacts = this.maxFactsPerTurn;
+    if (mode === 'paused') {
+      this.logger.debug(`Auto-capture paused (${reason}); skipped ${batch.length} turn(s)`);
+      return [];
+    }
+    if (mode === 'reduced') {
+      batch = batch.filter(item => item.tags.includes('role:user'));
+      maxFacts = 1;
+    }
+    const recent = [];
+    const outcomes = [];
+    const failed = [];
+    for (const item of batch) {
+      try {
+        outcomes.push(...await this.capture(item.text, item.tags, { ...item.opts, maxFacts, recent }));
+      } catch (error) {
+        if (item.retried) {
+          this.logger.warn(`Auto-capture dropped a turn after a retry: ${error.message}`);
+        } else {
+          this.logger.warn(`Auto-capture failed, will retry: ${error.message}`);
+          failed.push({ ...item, retried: true });
+        }
+      }
+    }
+    for (const item of failed) this._queueCapture(item.text, item.tags, item.opts, item);
+    return outcomes;
+  }
+
+  /**
+   * Save pending auto-captures and stop background timers (write queue
+   * retries, the prune sweep). Call before the host exits; captures still
+   * pending when the event loop empties are flushed on `beforeExit` anyway.
+   */
+  async close() {
+    this.stopPruneSweep();
+    try {
+      await this.flushCaptures();
+      // Turns that failed once get their retry now rather than on a timer
+      if (this._captureBatch.length > 0) await this.flushCaptures();
+    } finally {
+      clearTimeout(this._captureTimer);
+      this._captureTimer = null;
+      process.removeListener('beforeExit', this._flushOnExit);
+      this.queue?.stop();
+    }
+  }
+
   async forget(memoryId) {
-    if (!this.apiKey) return null;
-    const result = await this._apiCall('delete', `/v1/memories/${memoryId}`);
+    if (!this.backend) return null;
+    const result = await this._call('deleteMemory', memoryId);
+    if (result) this.emit('forget', { id: memoryId, queued: !!result.queued });
+    if (result?.queued) return { deleted: false, queued: true };
     return result ? { deleted: true } : null;
   }
 
-  async recall(query, limit = this.recallLimit) {
-    if (!this.apiKey || !this.autoRecall) return [];
-    const result = await this._apiCall('get', '/v1/memories/search', null, { q: query, limit });
-    return result?.memories || [];
+  /**
+   * Search memories. With opts.parse, `query` may carry inline filters
+   * (`tag:`, `role:`, `session:`, `since:`, `until:`, `limit:`) as in
+   * `!search`; otherwise it is searched as given. opts.tags / opts.since /
+   * opts.until / opts.sessionId add to them.
+   * opts.force searches even with autoRecall off.
+   */
+  async recall(query, limit = this.recallLimit, opts = {}) {
+    if (!this.backend || (!this.autoRecall && !opts.force)) return [];
+    let text = query;
+    const time = (value, name) => {
+      if (!value) return null;
+      const parsed = this.parseTime(String(value));
+      if (!parsed) throw new Error(`Invalid ${name} "${value}" (use e.g. "2d", "3 hours ago", "yesterday 5pm" or an ISO timestamp)`);
+      return parsed;
+    };
+    const filters = { tags: [...(opts.tags || [])], since: time(opts.since, 'since'), until: time(opts.until, 'until') };
+    if (opts.parse) {
+      const parsed = parseQuery(query, { sessionId: opts.sessionId, parseTime: s => this.parseTime(s) });
+      text = parsed.text;
+      filters.tags.push(...parsed.filters.tags);
+      filters.since = parsed.filters.since || filters.since;
+      filters.until = parsed.filters.until || filters.until;
+      limit = parsed.filters.limit || limit;
+    }
+    return (await this._search(text, filters, limit, { user: this.resolveUser(opts.user) })) || [];
+  }
+
+  /**
+   * Delete memories and journal them as one forget batch, so undo and
+   * `!forget restore` can bring them back. Returns { deleted, queued,
+   * failed, ids } where ids are the memories deleted or queued.
+   */
+  async forgetMany(memories, { sessionId = null, batch = `forget-${Date.now()}` } = {}) {
+    const summary = { deleted: 0, queued: 0, failed: 0, ids: [] };
+    for (const m of memories) {
+      const id = m.uuid || m.id;
+      const result = await this.forget(id);
+      if (!result) {
+        summary.failed++;
+        continue;
+      }
+      if (result.queued) summary.queued++;
+      else summary.deleted++;
+      summary.ids.push(id);
+      this.journal?.record({ type: 'forget', id, observation: m.observation, tags: m.tags || [], sessionId, batch });
+    }
+    return summary;
+  }
+
+  /**
+   * Undo the session's last `count` journaled saves and forgets. Returns
+   * { done, restored, queued, failed, remaining }, or null if there was
+   * nothing to undo.
+   */
+  async undo(count = 1, sessionId = null) {
+    const entries = this.journal ? this.journal.undoable(sessionId).slice(0, count) : [];
+    if (entries.length === 0) return null;
+    const tally = await this._replayJournal(entries, 'undo');
+    return { ...tally, remaining: this.journal.undoable(sessionId).length };
   }
 
   async usage() {
-    return this._apiCall('get', '/v1/usage');
+    return this._call('usage');
+  }
+
+  // Roll back to an ISO timestamp; dryRun previews what would change
+  async rollback(target, { dryRun = false } = {}) {
+    const result = await this._call('rollback', { target, dry_run: dryRun });
+    if (result && !dryRun) this.emit('rollback', { target, result });
+    return result;
+  }
+
+  /**
+   * A rollback target as { target: ISO timestamp, label }, or null. Tries a
+   * checkpoint name, then an audit hash prefix, then a relative/absolute time.
+   */
+  async resolveRollbackTarget(raw) {
+    // Names that read as a hash or time (saved before they were refused) lose to that reading
+    const checkpoint = this._checkpointNameClash(raw) ? null : this.checkpoints?.get(raw);
+    if (checkpoint) return { target: checkpoint.at, label: `checkpoint "${raw}"` };
+
+    if (/^[0-9a-f]{8,64}$/i.test(raw)) {
+      const audit = await this.audit(1000);
+      const entry = (audit?.entries || []).find(e => e.entry_hash?.startsWith(raw.toLowerCase()));
+      if (entry) return { target: new Date(entry.timestamp).toISOString(), label: `audit entry ${raw.slice(0, 8)}` };
+    }
+
+    const target = this.parseTime(raw);
+    return target ? { target, label: raw } : null;
+  }
+
+  // Why `name` can't be a checkpoint (it would read as a subcommand, hash or time), or null
+  _checkpointNameClash(name) {
+    if (['list', 'delete', 'confirm', 'cancel'].includes(name.split(/\s+/)[0])) return 'that is a subcommand';
+    if (/^[0-9a-f]{8,64}$/i.test(name)) return 'it looks like an audit hash';
+    if (this.parseTime(name)) return 'it reads as a time';
+    return null;
+  }
+
+  /**
+   * A time expression ("2h30m", "yesterday 5pm", "last monday", 03/04/2026;
+   * see lib/time.js) as an ISO timestamp, or null. Read in the speaker's
+   * time zone and locale, else the configured ones.
+   */
+  parseTime(input) {
+    const date = parseTime(input, this._timeOptions());
+    return date ? date.toISOString() : null;
+  }
+
+  // An absolute time as the speaker reads it, e.g. "Mon, Oct 19, 2026, 4:00 PM EDT"
+  formatTime(value) {
+    return formatTime(value, this._timeOptions());
   }
 
-  async audit(limit = 10) {
-    return this._apiCall('get', '/v1/audit', null, { limit });
+  // `since` (ISO timestamp) limits the log to entries at or after it
+  async audit(limit = 10, { since = null } = {}) {
+    return this._call('audit', since ? { limit, since } : { limit });
   }
 
+  /**
+   * Page back through the audit log and check its hash chain client-side.
+   * Returns the verifyChain() report, or null if the log couldn't be fetched.
+   */
+  async verifyAudit({ limit = 100, since = null, pageSize = 100 } = {}) {
+    const sinceMs = since ? new Date(since).getTime() : null;
+    const entries = [];
+    const seen = new Set();
+    let offset = 0;
+    while (entries.length < limit) {
+      const size = Math.min(pageSize, limit - entries.length);
+      const page = await this._call('audit', { limit: size, offset, since: since || undefined });
+      if (!page) return null;
+      const batch = page.entries || [];
+      // Stop if the backend ignores offset and hands back a page we already have
+      const fresh = batch.filter(e => !seen.has(e.entry_hash || JSON.stringify(e)));
+      fresh.forEach(e => seen.add(e.entry_hash || JSON.stringify(e)));
+      const inRange = sinceMs == null ? fresh : fresh.filter(e => new Date(e.timestamp).getTime() >= sinceMs);
+      entries.unshift(...inRange);
+      if (batch.length < size || fresh.length < batch.length || inRange.length < fresh.length) break;
+      offset += batch.length;
+    }
+    return verifyChain(entries);
+  }
+
+  // opts.user limits the triples to those that identity may see
   async edges(opts = {}) {
-    const params = { limit: opts.limit || 50 };
+    const limit = opts.limit || 50;
+    const user = this.resolveUser(opts.user);
+    // Over-fetch so scoping still fills the page
+    const params = { limit: user ? Math.min(500, limit * 4) : limit };
     if (opts.subject) params.subject = opts.subject;
     if (opts.predicate) params.predicate = opts.predicate;
     if (opts.object) params.object = opts.object;
-    const result = await this._apiCall('get', '/v1/knowledge/triples', null, params);
-    return result?.triples || [];
+    const result = await this._call('triples', params);
+    return (result?.triples || []).filter(t => canSee(user, t)).slice(0, limit);
   }
 
-  // ---- Middleware Hooks ----
+  /**
+   * Pin a memory, or the best match for a query string. Returns the pinned
+   * memory, or null if nothing matched. Like `!forget`, a query only matches
+   * memories scoring above forgetThreshold.
+   */
+  async pin(target) {
+    if (!this.lifecycle) return null;
+    let memory = target;
+    if (typeof target === 'string') {
+      const result = await this._call('searchMemories', { q: target, limit: 1 });
+      memory = result?.memories?.[0];
+      if (!memory || (memory.score || 0) <= this.forgetThreshold) return null;
+    }
+    this.lifecycle.pin(memory);
+    return memory;
+  }
+
+  unpin(memoryId) {
+    return this.lifecycle ? this.lifecycle.unpin(memoryId) : false;
+  }
+
+  /**
+   * Apply retention policies: delete every unpinned memory that has gone
+   * unused past its tag's retention (or fallen below minImportance).
+   * Deletions are journaled as one forget batch, so they can be restored.
+   * Returns { dryRun, checked, expired, deleted, queued, failed }; throws if
+   * the memories can't be listed.
+   */
+  async prune({ dryRun = false, sessionId = null } = {}) {
+    if (!this.backend || !this.lifecycle) return null;
+    const now = Date.now();
+    const expired = [];
+    let checked = 0;
+    // Read everything first; deleting while paging would shift the offsets
+    for await (const record of this._exportRecords({ includeTriples: false, pageSize: 100 })) {
+      if (record.type !== 'memory') continue;
+      checked++;
+      const { expired: isExpired, reason, importance } = this.lifecycle.evaluate(record, now);
+      if (isExpired) expired.push({ ...record, reason, importance });
+    }
+    const summary = { dryRun, checked, expired, deleted: 0, queued: 0, failed: 0 };
+    if (dryRun) return summary;
+
+    const { deleted, queued, failed, ids } = await this.forgetMany(expired, { sessionId, batch: `prune-${Date.now()}` });
+    Object.assign(summary, { deleted, queued, failed });
+    if (ids.length > 0) this.lifecycle.remove(ids);
+    this.emit('prune', { checked, expired, deleted: summary.deleted, queued: summary.queued });
+    return summary;
+  }
+
+  // Background prune (pruneInterval); stopped with stopPruneSweep()
+  async _sweep() {
+    try {
+      const summary = await this.prune();
+      if (summary?.deleted > 0) this.logger.info(`Pruned ${summary.deleted} expired memories`);
+    } catch (error) {
+      this.logger.warn(`Background prune failed: ${error.message}`);
+    }
+  }
+
+  stopPruneSweep() {
+    clearInterval(this._pruneTimer);
+    this._pruneTimer = null;
+  }
+
+  // Returns the created triple, { dropped: true } if redaction refused it, or null.
+  // `user` owns the edge: only they (and admins) see it in !edges and context
+  async addTriple(subject, predicate, object, { confidence = null, user = null } = {}) {
+    if (!this.backend) return null;
+    const parts = [subject, predicate, object].map(p => String(p ?? '').trim());
+    if (parts.some(p => !p)) throw new Error('addTriple() needs a subject, predicate and object');
+    const clean = parts.map(p => this._redact(p, { source: 'relate' }));
+    if (clean.some(p => p === null)) return { dropped: true };
+    const [s, p, o] = clean;
+    const tags = ownerTags(this.resolveUser(user));
+    const result = await this._call('createTriple', { subject: s, predicate: p, object: o, confidence, tags });
+    if (result) this._graphCache = null;
+    return result;
+  }
+
+  /**
+   * Remove a triple by ID, or every triple matching { subject, predicate,
+   * object } (case-insensitive). Returns { deleted: n }, or null on failure.
+   */
+  async removeTriple(target) {
+    if (!this.backend) return null;
+    let ids = [target];
+    if (typeof target === 'object') {
+      const key = tripleKey(target);
+      const found = await this.edges({ subject: target.subject, predicate: target.predicate, limit: 100 });
+      ids = found.map(normalizeTriple).filter(t => t.id && tripleKey(t) === key).map(t => t.id);
+    }
+    let deleted = 0;
+    for (const id of ids) {
+      if (!(await this._call('deleteTriple', id))) return deleted > 0 ? { deleted } : null;
+      deleted++;
+    }
+    if (deleted > 0) this._graphCache = null;
+    return { deleted };
+  }
+
+  /**
+   * Every triple within `depth` hops of `entity`, following edges in both
+   * directions (only those `user` may see). Returns { triples, entities }.
+   */
+  async neighborhood(entity, { depth = 2, limit = 50, user = null } = {}) {
+    const fetch = params => this.edges({ ...params, limit, user });
+    return neighborhood(fetch, entity, { depth: Math.min(depth, MAX_GRAPH_DEPTH), limit });
+  }
+
+  /**
+   * Stream every memory (and knowledge-graph triple) to a JSONL or Markdown
+   * file. Returns { path, format, memories, triples }; throws (and removes
+   * the partial file) if writing or the backend fails part-way, so a
+   * truncated file is never mistaken for a backup.
+   */
+  async exportMemories({ format = 'jsonl', output = null, includeTriples = true, pageSize = 100 } = {}) {
+    if (!this.backend) return null;
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const file = output || path.join(this.storageDir, 'exports', `novyx-export-${stamp}.${format}`);
+    const counts = await writeExport(this._exportRecords({ includeTriples, pageSize }), file, format);
+    return { path: file, format, ...counts };
+  }
+
+  async *_exportRecords({ includeTriples, pageSize }) {
+    yield {
+      type: 'header',
+      version: FORMAT_VERSION,
+      exported_at: new Date().toISOString(),
+      agentId: this.agentId,
+      backend: this.backend.name || 'custom',
+    };
+    const pages = [
+      ['listMemories', 'memories', m => ({
+        type: 'memory',
+        id: m.uuid || m.id,
+        observation: m.observation,
+        tags: m.tags || [],
+        created_at: m.created_at || null,
+      })],
+    ];
+    if (includeTriples) {
+      pages.push(['triples', 'triples', t => ({
+        type: 'triple',
+        id: t.id || null,
+        subject: t.subject?.name || t.subject,
+        predicate: t.predicate,
+        object: t.object?.name || t.object,
+        confidence: t.confidence ?? null,
+        tags: t.tags || [],
+      })]);
+    }
+    for (const [op, key, toRecord] of pages) {
+      const seen = new Set();
+      for (let offset = 0; ; offset += pageSize) {
+        const page = await this._call(op, { limit: pageSize, offset });
+        if (!page) throw new Error(`Export failed while reading ${key}: ${this.lastError?.message || 'backend unavailable'}`);
+        const batch = page[key] || [];
+        // Stop if the backend ignores offset and hands back a page we already have
+        const fresh = batch.filter(item => {
+          const id = key === 'memories' ? (item.uuid || item.id) : recordKey(item);
+          if (seen.has(id)) return false;
+          seen.add(id);
+          return true;
+        });
+        for (const item of fresh) yield toRecord(item);
+        if (batch.length < pageSize || fresh.length < batch.length) break;
+      }
+    }
+  }
+
+  /**
+   * Import a JSONL export. Every memory goes through redaction; exact
+   * duplicates already in the store are mapped instead of re-created.
+   * Source → new IDs are kept in `mappingPath` (default `<input>.map.json`),
+   * so re-running the same import resumes where it stopped.
+   */
+  async importMemories({ input, mappingPath = null, dedupe = true, includeTriples = true } = {}) {
+    if (!this.backend) return null;
+    const map = new IdMap({ file: mappingPath || `${input}.map.json` });
+    const summary = {
+      mappingPath: map.file,
+      memories: { imported: 0, duplicates: 0, resumed: 0, dropped: 0, queued: 0, failed: 0 },
+      triples: { imported: 0, duplicates: 0, resumed: 0, dropped: 0, failed: 0 },
+    };
+    try {
+      for await (const record of readRecords(input)) {
+        if (record.type === 'header') {
+          if (record.version > FORMAT_VERSION) {
+            throw new Error(`Export format v${record.version} is newer than this skill supports (v${FORMAT_VERSION})`);
+          }
+          map.source = map.source || { agentId: record.agentId, backend: record.backend, exported_at: record.exported_at };
+        } else if (record.type === 'memory') {
+          summary.memories[await this._importMemory(record, map, dedupe)]++;
+        } else if (record.type === 'triple' && includeTriples) {
+          summary.triples[await this._importTriple(record, map, dedupe)]++;
+        }
+      }
+    } finally {
+      map.save();
+    }
+    return summary;
+  }
+
+  // Each returns the outcome it should be counted under
+  async _importMemory(record, map, dedupe) {
+    if (record.id && map.get('memories', record.id)) return 'resumed';
+    const observation = this._redact(record.observation, { source: 'import', tags: record.tags });
+    const tags = (record.tags || []).map(t => this._redact(t, { source: 'import', tags: record.tags }));
+    if (observation === null || tags.includes(null)) return 'dropped';
+    if (dedupe) {
+      const existing = await this._call('searchMemories', { q: observation, limit: 5 });
+      const match = (existing?.memories || []).find(m => m.observation === observation);
+      if (match) {
+        if (record.id) map.set('memories', record.id, match.uuid || match.id);
+        return 'duplicates';
+      }
+    }
+    const result = await this._call('createMemory', {
+      observation,
+      tags,
+      created_at: record.created_at || undefined,
+    });
+    // Queued writes aren't mapped; a resumed import dedupes them once they land
+    if (result?.queued) return 'queued';
+    if (!result) return 'failed';
+    if (record.id) map.set('memories', record.id, result.uuid || result.id);
+    return 'imported';
+  }
 
-  async onMessage(userMessage, sessionId) {
-    // Check commands first (exact match or trigger + space)
-    for (const cmd of this.commands) {
-      if (userMessage === cmd.trigger || userMessage.startsWith(cmd.trigger + ' ')) {
-        return await cmd.handler(userMessage, sessionId);
+  async _importTriple(record, map, dedupe) {
+    const key = recordKey(record);
+    if (map.get('triples', key)) return 'resumed';
+    if (typeof this.backend.createTriple !== 'function') return 'failed';
+    // Redacted like `!relate`, tags included
+    const [subject, predicate, object] = [record.subject, record.predicate, record.object].map(p => this._redact(p, { source: 'import' }));
+    const tags = (record.tags || []).map(t => this._redact(t, { source: 'import' }));
+    if ([subject, predicate, object].includes(null) || tags.includes(null)) return 'dropped';
+    if (dedupe) {
+      const existing = await this._call('triples', { subject, predicate, object, limit: 1 });
+      const match = existing?.triples?.[0];
+      if (match) {
+        map.set('triples', key, match.id || key);
+        return 'duplicates';
       }
     }
+    const result = await this._call('createTriple', { subject, predicate, object, confidence: record.confidence, tags });
+    if (!result) return 'failed';
+    map.set('triples', key, result.id || key);
+    return 'imported';
+  }
+
+  // ---- Middleware Hooks ----
+
+  async onMessage(userMessage, sessionId, user = null) {
+    const identity = this.resolveUser(user);
+    // Check commands first
+    if (this.commands.match(userMessage)) {
+      return this.runCommand(userMessage, sessionId, { user: identity });
+    }
 
     // Skip trivial messages to conserve API calls
     if (userMessage.length < 15) {
       return userMessage;
     }
 
-    // Auto-recall: inject relevant memories as context
-    const context = await this.recall(userMessage, this.recallLimit);
+    // Auto-recall: over-fetch so filtering still leaves up to recallLimit memories.
+    // The query is redacted too (not logged) — it's sent to the backend as well
+    const query = this.redactor ? this.redactor.apply(userMessage).text : userMessage;
+    const recalled = query ? await this.recall(query, this.recallLimit * 2, { user: identity }) : [];
+    this._rememberTurn(sessionId, recalled);
 
-    // Auto-save user message (fire and forget)
-    this.remember(userMessage, ['role:user', `session:${sessionId}`]).catch(() => {});
+    // Auto-save facts from the user message (fire and forget)
+    this._queueCapture(userMessage, ['role:user', `session:${sessionId}`, ...ownerTags(identity)], { existing: recalled, user: identity });
 
-    // If we found relevant memories, format them as context prefix
-    if (context.length > 0) {
-      const contextBlock = context.map(m => `- ${m.observation}`).join('\n');
-      return `[Recalled Memory]\n${contextBlock}\n\nUser: ${userMessage}`;
-    }
-
-    return userMessage;
+    // If we found relevant memories (or graph facts), format them as context prefix
+    const ranked = this.lifecycle ? recalled.map(m => ({ ...m, importance: this.lifecycle.importance(m) })) : recalled;
+    const { text, included, facts } = this.context.build(ranked, {
+      message: userMessage,
+      sessionId,
+      limit: this.recallLimit,
+      facts: await this._graphFacts(userMessage, identity),
+    });
+    this.lastContext = included;
+    this.lastFacts = facts;
+    if (included.length > 0) this.lifecycle?.touch(included);
+    return text || userMessage;
   }
 
-  async onResponse(agentResponse, sessionId) {
-    if (!this.apiKey) return;
+  // `user` is who the response answers; its facts belong to them
+  async onResponse(agentResponse, sessionId, user = null) {
+    if (!this.backend) return;
     // Skip trivial responses
     if (!agentResponse || agentResponse.length < 20) return;
-    // Truncate long responses to avoid storing filler
-    const observation = agentResponse.length > 500
-      ? agentResponse.slice(0, 500) + '...'
-      : agentResponse;
-    this.remember(observation, ['role:assistant', `session:${sessionId}`]).catch(() => {});
+    // Extract facts instead of storing the raw (possibly long) response
+    const identity = this.resolveUser(user);
+    // The reply is usually about what the message recalled, so dedupe against that
+    const existing = this._turnRecall.get(sessionId ?? '') || null;
+    this._queueCapture(agentResponse, ['role:assistant', `session:${sessionId}`, ...ownerTags(identity)], { existing, user: identity });
   }
 
   // ---- Command Handlers ----
 
-  async handleRemember(message) {
-    const text = message.replace('!remember', '').trim();
-    if (!text) return 'Usage: `!remember <fact to save>`';
-    // Force save even if autoSave is off — use direct API call
-    const result = await this._apiCall('post', '/v1/memories', { observation: text, tags: ['explicit'] });
-    if (result) {
-      const id = result.uuid || result.id;
-      if (id) this._writeLog.push({ id, observation: text.slice(0, 80), at: new Date().toISOString() });
-    }
-    return result ? `Saved: "${text.slice(0, 80)}"` : 'Failed to save. Check your API key.';
+  async handleRemember({ args, sessionId }) {
+    const { text: raw, tags: typed } = extractHashtags(args.text);
+    if (!raw) return 'Usage: `!remember <fact to save> [#tag ...]`';
+    const text = this._redact(raw, { source: '!remember', sessionId });
+    if (text === null) return 'Not saved: the text contains sensitive data that is never stored (see redaction log).';
+    // Members can't file a memory under someone else (#user:bob) or a space they aren't in
+    const speaker = this._speaker();
+    const tags = allowedTags(speaker, typed);
+    const ignored = typed.filter(t => !tags.includes(t));
+    // Force save even if autoSave is off
+    const result = await this._save(text, ['explicit', ...ownerTags(speaker), ...tags], sessionId);
+    if (result?.queued) return `Queued: "${text.slice(0, 80)}" (will be saved when the API is reachable)`;
+    const tagNote = tags.length > 0 ? ` [${tags.map(t => `#${t}`).join(' ')}]` : '';
+    const ignoredNote = ignored.length > 0 ? `\nIgnored reserved tag${ignored.length === 1 ? '' : 's'}: ${ignored.map(t => `#${t}`).join(' ')}` : '';
+    if (!result) return this._failure('Failed to save', 'Check your API key.');
+    this._resultData(result);
+    return `Saved: "${text.slice(0, 80)}"${tagNote}${ignoredNote}`;
   }
 
-  async handleSearch(message) {
-    const query = message.replace('!search', '').trim();
-    if (!query) return 'Usage: `!search <query>`';
-    // Force search even if autoRecall is off — use direct API call
-    const result = await this._apiCall('get', '/v1/memories/search', null, { q: query, limit: 5 });
-    const results = result?.memories || [];
-    if (results.length === 0) return `No memories found for "${query}".`;
-    const lines = [`**Search: "${query}"**\n`];
+  async handleSearch({ args, sessionId }) {
+    const query = args.query;
+    const usage = 'Usage: `!search <query> [tag:x] [role:user|assistant] [session:current|<id>] [since:2d] [until:1h] [limit:N]`';
+    if (!query) return usage;
+    const { text, filters, errors } = parseQuery(query, { sessionId, parseTime: s => this.parseTime(s) });
+    if (errors.length > 0) return `${errors.join('. ')}.\n${usage}`;
+    const canList = this.backend?.filters?.has('listing');
+    if (!text && !canList) return `Add some search text — this backend can't list by filters alone.\n${usage}`;
+
+    // Force search even if autoRecall is off — call the backend directly. Admins see everything
+    const speaker = this._speaker();
+    const results = (await this._search(text, filters, filters.limit || 5, { user: isAdmin(speaker) ? null : speaker })) || [];
+    this._resultData(results);
+    // Echo resolved date filters so a misread "since:" is obvious
+    const range = [filters.since && `since ${this.formatTime(filters.since)}`, filters.until && `until ${this.formatTime(filters.until)}`]
+      .filter(Boolean).join(', ');
+    if (results.length === 0) return `No memories found for "${query}"${range ? ` (${range})` : ''}.`;
+    this.lifecycle?.touch(results);
+    const lines = [`**Search: "${query}"**${range ? ` *(${range})*` : ''}\n`];
     results.forEach((m, i) => {
       const score = m.score != null ? `${Math.round(m.score * 100)}%` : '--';
       const obs = m.observation.length > 120 ? m.observation.slice(0, 120) + '...' : m.observation;
@@ -180,84 +1191,322 @@ class NovyxMemory {
     return lines.join('\n');
   }
 
-  async handleRollback(message) {
-    const rawTarget = message.replace('!rollback', '').trim() || '1 hour ago';
-    const target = this._parseRelativeTime(rawTarget);
-    if (!target) {
-      return `Could not parse "${rawTarget}". Try "1h", "30m", "2 days ago", or an ISO timestamp.`;
+  async handleRollback({ args, sessionId }) {
+    const rawTarget = args.target || '1 hour ago';
+    if (rawTarget === 'confirm') return this._confirmRollback(sessionId);
+    if (rawTarget === 'cancel') {
+      return this._takePending('rollback', sessionId) ? 'Rollback cancelled. Nothing was changed.' : 'Nothing to cancel.';
     }
 
-    // Preview first (dry run)
-    const preview = await this._apiCall('post', '/v1/rollback', { target, dry_run: true });
-    if (!preview) return 'Rollback failed. This feature requires a Novyx API key (free tier includes 10 rollbacks/month).';
+    const resolved = await this.resolveRollbackTarget(rawTarget);
+    if (!resolved) {
+      return `Could not parse "${rawTarget}". Try a checkpoint name, an audit hash, "90m", "2h30m", "1 week ago", ` +
+             '"yesterday 5pm", "last monday", or a date like 2026-03-01 14:00.';
+    }
+    const { target, label } = resolved;
+    const when = this.formatTime(target);
+    // Never roll "back" to a time that hasn't happened; it means the target was misread
+    if (new Date(target).getTime() > Date.now()) {
+      return `"${rawTarget}" is ${when}, which is in the future. Nothing was changed.`;
+    }
+
+    // Preview first (dry run) — nothing changes until confirmed
+    const preview = await this.rollback(target, { dryRun: true });
+    if (!preview) return this._failure('Rollback failed', 'This feature requires a Novyx API key (free tier includes 10 rollbacks/month).');
+    this._resultData({ target, label, preview });
 
     if (preview.artifacts_restored === 0 && preview.operations_undone === 0) {
-      return `Nothing to roll back. No changes found since ${rawTarget}.`;
+      return `Nothing to roll back. No changes found since ${label} (${when}).`;
+    }
+
+    this._setPending('rollback', sessionId, { target, label });
+    const lines = [
+      `**Roll back to ${label}?**`,
+      `Target: ${when} (${target})`,
+      `${preview.artifacts_restored} memories would be restored, ${preview.operations_undone} operations undone.`,
+    ];
+    const affected = this._rollbackAffected(preview, target);
+    if (affected.length > 0) {
+      lines.push('\nAffected memories:');
+      for (const m of affected.slice(0, 10)) {
+        const obs = m.observation.length > 80 ? m.observation.slice(0, 80) + '...' : m.observation;
+        lines.push(`  ${m.action === 'restore' ? '+' : '-'} ${obs}`);
+      }
+      if (affected.length > 10) lines.push(`  ...and ${affected.length - 10} more`);
     }
+    lines.push(`\nReply \`!rollback confirm\` to proceed or \`!rollback cancel\`. Expires in ${Math.round(this.confirmTimeout / 60000)} min.`);
+    return lines.join('\n');
+  }
+
+  async _confirmRollback(sessionId) {
+    const pending = this._takePending('rollback', sessionId);
+    if (!pending) return 'Nothing to confirm. Run `!rollback <target>` first (previews expire).';
 
-    // Execute rollback
-    const result = await this._apiCall('post', '/v1/rollback', { target, dry_run: false });
-    if (!result) return 'Rollback execution failed. Try again or check your API key.';
+    const result = await this.rollback(pending.target);
+    if (!result) return this._failure('Rollback execution failed', 'Try again or check your API key.');
+    this._resultData(result);
 
-    return `**Rolled back to ${result.rolled_back_to}**\n` +
+    return `**Rolled back to ${this.formatTime(result.rolled_back_to)}**\n` +
            `${result.artifacts_restored} memories restored, ${result.operations_undone} operations undone.`;
   }
 
-  async handleForget(message) {
-    const topic = message.replace('!forget', '').trim();
-    if (!topic) return 'Usage: `!forget <topic>`';
+  async handleCheckpoint({ args, sessionId }) {
+    const input = args.name;
+    if (!this.checkpoints) return 'Checkpoints require a storage backend.';
+
+    if (!input || input === 'list') {
+      const all = this.checkpoints.list();
+      if (all.length === 0) return 'No checkpoints yet. Usage: `!checkpoint <name>`';
+      const lines = ['**Checkpoints:**\n'];
+      for (const c of all) {
+        const hash = c.auditHash ? ` [${c.auditHash.slice(0, 8)}]` : '';
+        lines.push(`- \`${c.name}\` ${this.formatTime(c.at)}${hash}`);
+      }
+      lines.push('\nRoll back with `!rollback <name>`.');
+      return lines.join('\n');
+    }
+
+    const [sub, ...rest] = input.split(/\s+/);
+    if (sub === 'delete') {
+      const name = rest.join(' ');
+      if (!name) return 'Usage: `!checkpoint delete <name>`';
+      return this.checkpoints.delete(name) ? `Deleted checkpoint "${name}".` : `No checkpoint named "${name}".`;
+    }
+    const clash = this._checkpointNameClash(input);
+    if (clash) return `Can't name a checkpoint "${input}": ${clash}. Pick another name.`;
+
+    // Anchor the checkpoint to the newest audit entry when the backend has one
+    const audit = await this.audit(1);
+    const latest = audit?.entries?.[audit.entries.length - 1];
+    const existed = !!this.checkpoints.get(input);
+    const checkpoint = this.checkpoints.set({ name: input, auditHash: latest?.entry_hash || null, sessionId });
+    return `${existed ? 'Updated' : 'Saved'} checkpoint "${checkpoint.name}" at ${this.formatTime(checkpoint.at)}.\n` +
+           `Roll back to it with \`!rollback ${checkpoint.name}\`.`;
+  }
+
+  async handleForget({ args, sessionId }) {
+    const input = args.topic;
+    // Subcommands only when they are the whole input, so `!forget cancel subscription` is a topic
+    const confirm = input.match(/^confirm(?:\s+([\d,\s]+))?$/);
+    if (confirm) return this._confirmForget((confirm[1] || '').replace(/\s+/g, ''), sessionId);
+    if (input === 'cancel') {
+      return this._takePending('forget', sessionId) ? 'Forget cancelled. Nothing was deleted.' : 'Nothing to cancel.';
+    }
+    if (input === 'restore') return this._restoreForget(sessionId);
+
+    const topic = input;
+    if (!topic) return 'Usage: `!forget <topic>`, then `!forget confirm [1,3]`';
 
-    // Force search even if autoRecall is off — use direct API call
-    const result = await this._apiCall('get', '/v1/memories/search', null, { q: topic, limit: 10 });
+    // Force search even if autoRecall is off — call the backend directly
+    const result = await this._call('searchMemories', { q: topic, limit: 10 });
     const matches = result?.memories || [];
-    const relevant = matches.filter(m => (m.score || 0) > 0.65);
+    const relevant = matches.filter(m => (m.score || 0) > this.forgetThreshold);
 
     if (relevant.length === 0) return `No memories found matching "${topic}".`;
 
-    let deleted = 0;
-    for (const m of relevant) {
-      const result = await this.forget(m.uuid || m.id);
-      if (result) deleted++;
+    // Phase 1: preview only — nothing is deleted until confirmed
+    this._setPending('forget', sessionId, { topic, candidates: relevant });
+    this._resultData({ topic, candidates: relevant });
+    const lines = [`**Forget "${topic}"? ${relevant.length} match${relevant.length === 1 ? '' : 'es'}:**\n`];
+    relevant.forEach((m, i) => {
+      const score = `${Math.round(m.score * 100)}%`;
+      const obs = m.observation.length > 120 ? m.observation.slice(0, 120) + '...' : m.observation;
+      const id = String(m.uuid || m.id || '').slice(0, 8);
+      lines.push(`${i + 1}. \`${score}\` ${obs} [${id}]`);
+    });
+    lines.push(`\nReply \`!forget confirm\` to delete all, \`!forget confirm 1,3\` to pick, or \`!forget cancel\`. ` +
+               `Expires in ${Math.round(this.confirmTimeout / 60000)} min.`);
+    return lines.join('\n');
+  }
+
+  async _confirmForget(selection, sessionId) {
+    const pending = this._takePending('forget', sessionId);
+    if (!pending) return 'Nothing to confirm. Run `!forget <topic>` first (previews expire).';
+
+    let chosen = pending.candidates;
+    if (selection) {
+      const picks = selection.split(',').map(n => parseInt(n, 10));
+      if (picks.some(n => isNaN(n) || n < 1 || n > pending.candidates.length)) {
+        this._setPending('forget', sessionId, pending);
+        return `Invalid selection "${selection}". Pick numbers between 1 and ${pending.candidates.length}, e.g. \`!forget confirm 1,3\`.`;
+      }
+      chosen = [...new Set(picks)].map(n => pending.candidates[n - 1]);
     }
-    return `Forgot ${deleted} memor${deleted === 1 ? 'y' : 'ies'} about "${topic}".`;
+
+    // Phase 2: delete, journaling the full memory so it can be restored
+    const { deleted, queued } = await this.forgetMany(chosen, { sessionId });
+    this._resultData({ topic: pending.topic, deleted, queued, failed: chosen.length - deleted - queued });
+    let msg = `Forgot ${deleted} memor${deleted === 1 ? 'y' : 'ies'} about "${pending.topic}".`;
+    if (queued > 0) msg += ` (${queued} queued for retry)`;
+    if (deleted + queued < chosen.length) msg += ` (${chosen.length - deleted - queued} failed)`;
+    if (deleted + queued > 0) msg += '\n`!forget restore` brings them back.';
+    return msg;
   }
 
-  async handleUndo(message) {
-    const countArg = parseInt(message.replace('!undo', '').trim()) || 1;
-    const count = Math.min(countArg, this._writeLog.length, 10);
+  async _restoreForget(sessionId) {
+    if (!this.journal) return 'Nothing to restore.';
+    const cutoff = Date.now() - this.restoreWindow;
+    const last = this.journal.undoable(sessionId)
+      .find(e => e.type === 'forget' && e.batch && new Date(e.at).getTime() >= cutoff);
+    if (!last) return 'Nothing to restore. No recent `!forget` in this session.';
+    return this._restoreBatch(this.journal.undoable(sessionId).filter(e => e.batch === last.batch));
+  }
+
+  // Background sweeps run without a session, so this looks across all of them
+  async _restorePrune() {
+    const last = this.journal?.undoable(null).find(e => e.type === 'forget' && e.batch?.startsWith('prune-'));
+    if (!last) return 'Nothing to restore. No prune in the undo journal.';
+    return this._restoreBatch(this.journal.undoable(null).filter(e => e.batch === last.batch));
+  }
+
+  async _restoreBatch(entries) {
+    const tally = await this._replayJournal(entries, 'undo');
+    let msg = `Restored ${tally.restored} memor${tally.restored === 1 ? 'y' : 'ies'}.`;
+    if (tally.queued > 0) msg += ` (${tally.queued} queued for retry)`;
+    if (tally.failed > 0) msg += ` (${tally.failed} failed)`;
+    return msg;
+  }
 
-    if (this._writeLog.length === 0) {
-      return 'Nothing to undo. No memories saved this session.';
+  async handlePin({ args }) {
+    const query = args.query;
+    if (!this.lifecycle) return 'Pinning requires a storage backend.';
+    if (!query) {
+      const pins = this.lifecycle.listPins();
+      this._resultData(pins);
+      if (pins.length === 0) return 'No pinned memories. Pin one with `!pin <query>`.';
+      const lines = ['**Pinned Memories:**\n'];
+      pins.forEach((p, i) => lines.push(`${i + 1}. ${p.observation} [${p.id.slice(0, 8)}]`));
+      lines.push('\n`!unpin <N>` to unpin.');
+      return lines.join('\n');
     }
+    const memory = await this.pin(query);
+    if (!memory) return this.lastError ? this._failure('Pin failed') : `No memory matches "${query}".`;
+    this._resultData(memory);
+    return `Pinned: "${memory.observation}" [${String(memory.uuid || memory.id).slice(0, 8)}]\n` +
+           'Pinned memories rank higher in recall and are never pruned.';
+  }
 
-    const toDelete = this._writeLog.splice(-count, count);
-    let deleted = 0;
-    let failed = 0;
+  async handleUnpin({ args }) {
+    const arg = args.pin;
+    const pins = this.lifecycle ? this.lifecycle.listPins() : [];
+    const n = /^\d+$/.test(arg) ? parseInt(arg, 10) : null;
+    const needle = arg.toLowerCase();
+    const pin = n != null
+      ? pins[n - 1]
+      : pins.find(p => p.id.startsWith(arg)) || pins.find(p => p.observation.toLowerCase().includes(needle));
+    if (!pin) return `No pinned memory matches "${arg}". See \`!pin\` for the list.`;
+    this.unpin(pin.id);
+    this._resultData(pin);
+    return `Unpinned: "${pin.observation}"`;
+  }
 
-    for (const entry of toDelete.reverse()) {
-      const result = await this.forget(entry.id);
-      if (result) { deleted++; } else { failed++; }
+  async handlePrune({ args, flags, positionals, sessionId }) {
+    const dryRun = flags['dry-run'];
+    if (positionals.length > 1 || (args.action && args.action !== 'restore') || (dryRun && args.action)) {
+      return 'Usage: `!prune [--dry-run|restore]`';
+    }
+    if (!this.lifecycle) return 'Pruning requires a storage backend.';
+    if (args.action === 'restore') return this._restorePrune();
+    let summary;
+    try {
+      summary = await this.prune({ dryRun, sessionId });
+    } catch (error) {
+      return `Prune failed: ${error.message}`;
+    }
+    this._resultData(summary);
+    const { checked, expired } = summary;
+    if (expired.length === 0) return `Nothing to prune. Checked ${checked} memor${checked === 1 ? 'y' : 'ies'}.`;
+    const lines = [dryRun
+      ? `**Prune preview: ${expired.length} of ${checked} memories would be deleted**\n`
+      : `**Pruned ${summary.deleted} of ${checked} memories**\n`];
+    for (const m of expired.slice(0, 10)) {
+      const obs = m.observation.length > 80 ? m.observation.slice(0, 80) + '...' : m.observation;
+      lines.push(`- ${obs} (${m.reason})`);
     }
+    if (expired.length > 10) lines.push(`...and ${expired.length - 10} more`);
+    if (dryRun) {
+      lines.push('\nRun `!prune` to delete them. `!pin <query>` keeps one.');
+    } else {
+      if (summary.queued > 0) lines.push(`\n${summary.queued} queued for retry.`);
+      if (summary.failed > 0) lines.push(`\n${summary.failed} failed.`);
+      lines.push('\n`!prune restore` brings them back.');
+    }
+    return lines.join('\n');
+  }
+
+  async handleUndo({ args, sessionId }) {
+    const count = parseInt(args.count) || 1;
+    if (!this.journal) return 'Nothing to undo. No memories saved yet.';
+
+    const tally = await this.undo(count, sessionId);
+    if (!tally) return 'Nothing to undo. No memories saved this session.';
+    this._resultData(tally);
+    let msg = `Undid ${tally.done} memor${tally.done === 1 ? 'y' : 'ies'}.`;
+    if (tally.restored > 0) msg += ` (${tally.restored} forgotten restored)`;
+    if (tally.queued > 0) msg += ` (${tally.queued} queued for retry)`;
+    if (tally.failed > 0) msg += ` (${tally.failed} failed)`;
+    msg += `\n${tally.remaining} more in undo history. \`!redo\` to reapply.`;
+    return msg;
+  }
 
-    let msg = `Undid ${deleted} memor${deleted === 1 ? 'y' : 'ies'}.`;
-    if (failed > 0) msg += ` (${failed} failed)`;
-    msg += `\n${this._writeLog.length} more in undo history.`;
+  async handleRedo({ args, sessionId }) {
+    const count = parseInt(args.count) || 1;
+    if (!this.journal) return 'Nothing to redo.';
+
+    const entries = this.journal.redoable(sessionId).slice(0, count);
+    if (entries.length === 0) return 'Nothing to redo.';
+
+    const tally = await this._replayJournal(entries, 'redo');
+    this._resultData(tally);
+    let msg = `Redid ${tally.done} change${tally.done === 1 ? '' : 's'}.`;
+    if (tally.queued > 0) msg += ` (${tally.queued} queued for retry)`;
+    if (tally.failed > 0) msg += ` (${tally.failed} failed)`;
+    msg += `\n${this.journal.redoable(sessionId).length} more to redo.`;
     return msg;
   }
 
-  async handleAudit(message) {
-    const limitArg = parseInt(message.replace('!audit', '').trim()) || 10;
-    const data = await this.audit(limitArg);
+  // `[N] [all]` in either order
+  async handleHistory({ positionals, sessionId }) {
+    const all = positionals.includes('all');
+    const limit = parseInt(positionals.find(a => /^\d+$/.test(a))) || 10;
+    if (!this.journal) return 'No history yet.';
+
+    const scope = all ? null : sessionId;
+    const entries = this.journal.history(scope, limit);
+    this._resultData(entries);
+    if (entries.length === 0) return 'No history yet.';
+
+    const lines = [`**Memory History${scope != null ? ` (session ${scope})` : ''}:**\n`];
+    for (const e of entries) {
+      const ts = this.formatTime(e.at);
+      const sign = e.type === 'forget' ? '-' : '+';
+      const obs = e.observation.length > 80 ? e.observation.slice(0, 80) + '...' : e.observation;
+      lines.push(`\`${ts}\` ${sign} ${e.type} "${obs}"${e.undone ? ' *(undone)*' : ''}`);
+    }
+    lines.push(`\n*${this.journal.undoable(scope).length} undoable, ${this.journal.redoable(scope).length} redoable.*`);
+    return lines.join('\n');
+  }
+
+  async handleAudit({ args }) {
+    const input = args.range;
+    const sinceArg = input.match(/(?:^|\s)since:(.+)$/i)?.[1].trim();
+    const limitArg = parseInt(input.replace(/(?:^|\s)since:.+$/i, '')) || 10;
+    const since = sinceArg ? this.parseTime(sinceArg) : null;
+    if (sinceArg && !since) return `Could not parse "${sinceArg}". Try \`!audit since:2h\` or \`!audit 20 since:yesterday 9am\`.`;
+    const data = await this.audit(limitArg, { since });
+    this._resultData(data);
 
-    if (!data || !data.entries || data.entries.length === 0) {
-      return 'No audit entries found.';
+    // Backends that ignore `since` are filtered here
+    const inRange = (data?.entries || []).filter(e => !since || new Date(e.timestamp) >= new Date(since));
+    if (inRange.length === 0) {
+      return since ? `No audit entries since ${this.formatTime(since)}.` : 'No audit entries found.';
     }
 
     // Show newest first
-    const entries = [...data.entries].reverse();
-    const lines = ['**Recent Operations:**\n'];
+    const entries = [...inRange].reverse();
+    const lines = [since ? `**Operations since ${this.formatTime(since)}:**\n` : '**Recent Operations:**\n'];
     for (const e of entries.slice(0, limitArg)) {
-      const ts = new Date(e.timestamp).toLocaleTimeString();
+      const ts = this.formatTime(e.timestamp);
       const hash = e.entry_hash ? e.entry_hash.slice(0, 8) : '--------';
       lines.push(`\`${ts}\` ${e.method} ${e.endpoint} \u2192 ${e.status} [${hash}]`);
     }
@@ -265,11 +1514,66 @@ class NovyxMemory {
     return lines.join('\n');
   }
 
+  async handleVerify({ args }) {
+    const arg = args.range;
+    let opts = { limit: 100 };
+    let scope = 'last 100 entries';
+    if (/^\d+$/.test(arg)) {
+      opts = { limit: parseInt(arg, 10) };
+      scope = `last ${opts.limit} entries`;
+    } else if (arg) {
+      const since = this.parseTime(arg.replace(/^since:/, ''));
+      if (!since) return `Could not parse "${arg}". Try \`!verify 500\` or \`!verify 2 days ago\`.`;
+      opts = { limit: 10000, since };
+      scope = `entries since ${this.formatTime(since)}`;
+    }
+
+    const report = await this.verifyAudit(opts);
+    if (!report) return this._failure('Could not fetch the audit log', 'Check your API key.');
+    this._resultData(report);
+    if (report.checked === 0) return `No audit entries to verify (${scope}).`;
+
+    const span = `${this.formatTime(report.first.timestamp)} → ${this.formatTime(report.last.timestamp)}`;
+    const anchor = report.anchor ? ` Anchored at [${report.anchor.slice(0, 8)}].` : '';
+    if (report.ok) {
+      return `**Audit chain verified \u2713**\nChecked ${report.checked} entries (${span}).${anchor}`;
+    }
+
+    const describe = issue => {
+      const e = issue.entry;
+      const where = `entry #${issue.index + 1} (${this.formatTime(e.timestamp)} ${e.method} ${e.endpoint})`;
+      const short = v => String(v ?? '').slice(0, 8);
+      switch (issue.type) {
+        case 'hash_mismatch': return `hash mismatch at ${where}: recorded [${short(issue.actual)}], recomputed [${short(issue.expected)}]`;
+        case 'gap': return `gap before ${where}: links to [${short(issue.actual)}], expected [${short(issue.expected)}]`;
+        case 'reorder': return `reordering at ${where}`;
+        default: return `missing hash at ${where}`;
+      }
+    };
+    const lines = [
+      '**Audit chain BROKEN \u2717**',
+      `Checked ${report.checked} entries (${span}).${anchor}`,
+      `First break: ${describe(report.firstBreak)}`,
+    ];
+    const rest = report.issues.slice(1);
+    if (rest.length > 0) {
+      lines.push(`\n${rest.length} more issue${rest.length === 1 ? '' : 's'}:`);
+      for (const issue of rest.slice(0, 5)) lines.push(`- ${describe(issue)}`);
+      if (rest.length > 5) lines.push(`- ...and ${rest.length - 5} more`);
+    }
+    return lines.join('\n');
+  }
+
   async handleStatus() {
     const usageData = await this.usage();
-    if (!usageData) return 'Could not fetch status. Check your API key.';
+    if (!usageData) {
+      const pending = this.queue?.depth ? `\nOffline Queue: ${this._queueStatus()}` : '';
+      return `${this._failure('Could not fetch status', 'Check your API key.')}${pending}`;
+    }
 
     const tier = usageData.tier || usageData.plan || 'Free';
+    this._resultData(usageData);
+    this.throttle?.update(usageData);
 
     function fmtUsage(obj) {
       if (!obj) return '—';
@@ -286,99 +1590,413 @@ class NovyxMemory {
            `Memories: ${fmtUsage(usageData.memories)}\n` +
            `API Calls: ${fmtUsage(usageData.api_calls)}\n` +
            `Rollbacks: ${fmtUsage(usageData.rollbacks)}\n` +
-           `Undo History: ${this._writeLog.length} writes this session`;
+           `Backend: ${this.backend.name || 'custom'}\n` +
+           `Undo History: ${this._journalStatus()}\n` +
+           `Offline Queue: ${this._queueStatus()}\n` +
+           `Auto-capture: ${this._captureStatus()}\n` +
+           `Recall Cache: ${this._cacheStatus()}`;
   }
 
-  async handleEdges(message) {
-    const subject = message.replace('!edges', '').trim() || undefined;
-    const triples = await this.edges({ subject, limit: 10 });
+  async handleEdges({ positionals }) {
+    const usage = 'Usage: `!edges [entity] [predicate:x] [object:y] [depth:N] [format:mermaid|dot] [limit:N]`';
+    const opts = {};
+    const words = [];
+    for (const arg of positionals) {
+      const match = arg.match(/^(predicate|object|depth|format|limit):(.+)$/i);
+      if (match) opts[match[1].toLowerCase()] = match[2];
+      else words.push(arg);
+    }
+    const subject = words.join(' ') || undefined;
+    const depth = opts.depth ? parseInt(opts.depth, 10) : 0;
+    const limit = opts.limit ? parseInt(opts.limit, 10) : (depth ? 50 : 10);
+    const format = (opts.format || 'text').toLowerCase();
+    if (isNaN(depth) || depth < 0 || depth > MAX_GRAPH_DEPTH) return `depth must be 1-${MAX_GRAPH_DEPTH}.\n${usage}`;
+    if (isNaN(limit) || limit < 1) return `Invalid limit "${opts.limit}".\n${usage}`;
+    if (!['text', 'mermaid', 'dot'].includes(format)) return `Unknown format "${opts.format}".\n${usage}`;
+    if (depth && !subject) return `Name an entity to start from, e.g. \`!edges Acme depth:2\`.\n${usage}`;
+
+    // Admins see the whole graph, everyone else their own and unowned edges
+    const speaker = this._speaker();
+    const user = isAdmin(speaker) ? null : speaker;
+    let triples;
+    if (depth) {
+      // Filters narrow what's shown, not which paths are followed
+      triples = (await this.neighborhood(subject, { depth, limit, user })).triples.filter(t =>
+        (!opts.predicate || t.predicate.toLowerCase() === opts.predicate.toLowerCase()) &&
+        (!opts.object || t.object.toLowerCase() === opts.object.toLowerCase()));
+    } else {
+      triples = (await this.edges({ subject, predicate: opts.predicate, object: opts.object, limit, user })).map(normalizeTriple);
+    }
+
+    this._resultData(triples);
+    if (triples.length === 0 && this.lastError) return this._failure('Could not query the knowledge graph', 'Check your API key.');
     if (triples.length === 0) {
       return subject
-        ? `No knowledge graph edges found for "${subject}". Add triples via the API or they'll be auto-generated on Pro tier.`
-        : 'No knowledge graph edges found. Triples are auto-generated on Pro tier, or add them via the API.';
+        ? `No knowledge graph edges found for "${subject}". Add one with \`!relate ${subject} <predicate> <object>\`.`
+        : 'No knowledge graph edges found. Add one with `!relate <subject> <predicate> <object>`, or they\'re auto-generated on Pro tier.';
+    }
+    const title = depth ? `**Knowledge Graph: ${subject} (${depth} hop${depth === 1 ? '' : 's'})**` : '**Knowledge Graph:**';
+    if (format === 'mermaid') return `${title}\n\`\`\`mermaid\n${toMermaid(triples)}\n\`\`\``;
+    if (format === 'dot') return `${title}\n\`\`\`dot\n${toDot(triples)}\n\`\`\``;
+    const lines = [`${title}\n`];
+    for (const t of triples) lines.push(`  ${formatTriple(t)}`);
+    return lines.join('\n');
+  }
+
+  // Reads positionals rather than args so `delete` and quoted multi-word objects work
+  async handleRelate({ positionals }) {
+    const usage = 'Usage: `!relate <subject> <predicate> <object> [confidence:0.9]` (quote multi-word names: `!relate "Acme Corp" uses Postgres`)';
+    if (!this.backend) return 'The knowledge graph requires a storage backend.';
+    let confidence = null;
+    const args = positionals.filter(arg => {
+      const match = arg.match(/^confidence:(.+)$/i);
+      if (match) confidence = Number(match[1]);
+      return !match;
+    });
+    const remove = args[0] === 'delete' && args.length > 3;
+    if (remove) args.shift();
+    // Deleting removes the edge for everyone
+    if (remove && !isAdmin(this._speaker())) {
+      const trigger = `${this.commands.trigger('relate')} delete`;
+      this._commandScope.getStore()?.errors.push(new CommandPermissionError(this.commands.get('relate'), `${trigger} is restricted to admins`));
+      return `\`${trigger}\` is restricted to admins.`;
+    }
+    if (args.length < 3) return usage;
+    if (confidence !== null && !(confidence >= 0 && confidence <= 1)) return `Confidence must be between 0 and 1.\n${usage}`;
+    const [subject, predicate, ...rest] = args;
+    const triple = { subject, predicate, object: rest.join(' ') };
+
+    if (remove) {
+      const result = await this.removeTriple(triple);
+      if (!result) return this._failure('Failed to remove the edge', 'Check your API key.');
+      if (result.deleted === 0) return `No edge "${formatTriple(triple)}" found.`;
+      return `Removed: ${formatTriple(triple)}${result.deleted > 1 ? ` (${result.deleted} copies)` : ''}`;
+    }
+
+    const result = await this.addTriple(subject, predicate, triple.object, { confidence, user: this._speaker() });
+    if (result?.dropped) return 'Not saved: the edge contains sensitive data that is never stored (see redaction log).';
+    if (!result) return this._failure('Failed to add the edge', 'Check your API key.');
+    this._resultData(result);
+    return `Added: ${formatTriple(normalizeTriple(result))}\nSee it with \`!edges ${normalizeTriple(result).subject}\`.`;
+  }
+
+  async handleExport({ args }) {
+    // Without a format, the first word is part of the file name
+    const known = ['jsonl', 'md'].includes(args.format);
+    const format = known ? args.format : 'jsonl';
+    const name = (known ? args.file : [args.format, args.file].filter(Boolean).join(' ')) || null;
+    if (!this.backend) return 'Export requires a storage backend.';
+    let output = null;
+    try {
+      output = name && this._commandPath(name);
+    } catch (error) {
+      return `Export refused: ${error.message}.`;
+    }
+    let result;
+    try {
+      result = await this.exportMemories({ format, output });
+    } catch (error) {
+      this._commandScope.getStore()?.errors.push(error);
+      return `Export failed: ${error.message}`;
+    }
+    this._resultData(result);
+    // Chat imports name files relative to the exports directory
+    const restore = this._commandScope.getStore()?.fileAccess ? result.path : path.relative(path.join(this.storageDir, 'exports'), result.path);
+    return `**Exported ${result.memories} memories and ${result.triples} triples**\n` +
+           `File: ${result.path}` +
+           (format === 'jsonl' ? `\nRestore with \`!import ${restore}\`.` : '');
+  }
+
+  async handleImport({ args }) {
+    const name = args.file;
+    if (!this.backend) return 'Import requires a storage backend.';
+    let input;
+    try {
+      input = this._commandPath(name);
+    } catch (error) {
+      return `Import refused: ${error.message}.`;
     }
-    const lines = ['**Knowledge Graph:**\n'];
-    for (const t of triples) {
-      const subj = t.subject?.name || t.subject || '?';
-      const pred = t.predicate || '?';
-      const obj = t.object?.name || t.object || '?';
-      const conf = t.confidence != null ? ` (${Math.round(t.confidence * 100)}%)` : '';
-      lines.push(`  ${subj} → ${pred} → ${obj}${conf}`);
+    let result;
+    try {
+      result = await this.importMemories({ input });
+    } catch (error) {
+      if (error.code === 'ENOENT') return `No such file: ${input}`;
+      return `Import stopped: ${error.message}. Run \`!import ${name}\` again to resume.`;
     }
+    this._resultData(result);
+    const m = result.memories;
+    const t = result.triples;
+    const lines = [
+      `**Imported ${m.imported} memories, ${t.imported} triples**`,
+      `Already present: ${m.duplicates} memories, ${t.duplicates} triples`,
+    ];
+    if (m.resumed + t.resumed > 0) lines.push(`Skipped (imported by an earlier run): ${m.resumed + t.resumed}`);
+    if (m.dropped + t.dropped > 0) lines.push(`Dropped by redaction: ${m.dropped + t.dropped}`);
+    if (m.queued > 0) lines.push(`Queued for retry: ${m.queued}`);
+    if (m.failed + t.failed > 0) {
+      lines.push(`Failed: ${m.failed + t.failed} — run \`!import ${name}\` again to retry them.`);
+    }
+    lines.push(`ID map: ${result.mappingPath}`);
     return lines.join('\n');
   }
 
-  async handleHelp() {
+  async handleHelp({ args }) {
+    const name = args.command;
+    if (name) {
+      return this.commands.help(name) || `Unknown command "${name}". Try \`!help\` for the list.`;
+    }
     return '**Novyx Memory Commands:**\n' +
-           '- `!remember <text>`: Save a specific fact\n' +
-           '- `!search <query>`: Semantic search with relevance scores\n' +
-           '- `!rollback <time>`: Rewind memory (e.g., "1h", "2 days ago")\n' +
-           '- `!forget <topic>`: Delete memories matching a topic\n' +
-           '- `!undo [N]`: Delete last N saved memories (default: 1)\n' +
-           '- `!audit [N]`: Show last N API operations with hashes (default: 10)\n' +
-           '- `!edges [subject]`: Query knowledge graph relationships (Pro)\n' +
-           '- `!status`: Memory usage, tier, and rollback count\n' +
-           '- `!help`: This menu\n' +
+           `${this.commands.help()}\n` +
            '\nMemories are automatically recalled and saved during conversation.';
   }
 
   // ---- Helpers ----
 
-  _parseRelativeTime(input) {
-    const trimmed = input.trim();
-    // Match: "1h", "2 hours ago", "30m", "30 minutes", "1d", "2 days ago"
-    const match = trimmed.match(/^(\d+)\s*(h|hr|hrs|hour|hours|m|min|mins|minute|minutes|d|day|days)\s*(ago)?$/i);
-    if (match) {
-      const amount = parseInt(match[1]);
-      const unit = match[2].toLowerCase();
-      let ms;
-      if (unit.startsWith('h')) ms = amount * 60 * 60 * 1000;
-      else if (unit.startsWith('m')) ms = amount * 60 * 1000;
-      else if (unit.startsWith('d')) ms = amount * 24 * 60 * 60 * 1000;
-      else return null;
-      return new Date(Date.now() - ms).toISOString();
-    }
-    // Try ISO timestamp directly
-    const d = new Date(trimmed);
-    if (!isNaN(d.getTime())) return d.toISOString();
-    return null;
+  // "<what failed>: <why>" from the error behind the last failed call
+  _failure(what, hint) {
+    const error = this._commandScope.getStore()?.errors.at(-1) || this.lastError;
+    return error ? `${what}: ${error.message}` : `${what}. ${hint}`;
   }
 
-  // ---- Error Handling ----
+  // The identified user running the current command, if any
+  _speaker() {
+    return this._commandScope.getStore()?.user || null;
+  }
+
+  // Structured data for the current command's rich result
+  _resultData(data) {
+    const scope = this._commandScope.getStore();
+    if (scope) scope.data = data;
+  }
 
+  // A file named in a command: under <storageDir>/exports, unless the caller has file access (the CLI)
+  _commandPath(name) {
+    if (this._commandScope.getStore()?.fileAccess) return name;
+    return resolveInside(path.join(this.storageDir, 'exports'), name);
+  }
 
-  _handleError(error, action) {
-    if (error.response) {
-      const status = error.response.status;
-      const data = error.response.data || {};
+  // Returns the text with secrets/PII redacted, or null if it must not be saved
+  _redact(text, meta = {}) {
+    if (!this.redactor) return text;
+    const { text: clean, findings } = this.redactor.apply(text);
+    if (findings.length > 0) {
+      const { tags, ...rest } = meta;
+      const sessionId = rest.sessionId ?? sessionFromTags(tags);
+      this.redactor.log(findings, { ...rest, sessionId, agentId: this.agentId });
+    }
+    return clean;
+  }
 
-      if (status === 429) {
-        console.warn(`[NovyxMemory] Rate limit during ${action}. Upgrade at novyxlabs.com/pricing`);
-      } else if (status === 403) {
-        const detail = data.detail || data.error || '';
-        const msg = typeof detail === 'object' ? (detail.message || JSON.stringify(detail)) : String(detail);
-        if (msg.toLowerCase().includes('upgrade') || msg.toLowerCase().includes('tier')) {
-          console.warn(`[NovyxMemory] ${msg}. Upgrade at novyxlabs.com/pricing`);
-        } else {
-          console.warn(`[NovyxMemory] Access forbidden during ${action}. Check your API key.`);
-        }
+  async _extract(text, tags) {
+    if (this.extractor) {
+      try {
+        const role = tags.find(t => t.startsWith('role:'))?.slice(5) || null;
+        const facts = await this.extractor(text, { role, tags });
+        if (Array.isArray(facts)) return facts.filter(f => typeof f === 'string' && f.trim()).map(f => f.trim());
+      } catch (error) {
+        this.logger.warn(`Custom extractor failed, using built-in rules: ${error.message}`, error);
+      }
+    }
+    return extractFacts(text);
+  }
+
+  // Filters go server-side where the backend supports them, client-side otherwise
+  // `user` limits results to what that identity may see
+  async _search(q, filters = {}, limit = this.recallLimit, { user = null } = {}) {
+    const supported = this.backend?.filters || new Set();
+    const params = { q, limit };
+    let clientSide = !!user;
+    for (const key of ['tags', 'since', 'until']) {
+      const value = filters[key];
+      if (!value || (Array.isArray(value) && value.length === 0)) continue;
+      if (supported.has(key)) params[key] = value;
+      else clientSide = true;
+    }
+    // Over-fetch so client-side filtering still fills the page
+    if (clientSide) params.limit = Math.min(100, limit * 4);
+    const result = await this._cachedSearch(params);
+    if (!result) return null;
+    const memories = (result.memories || [])
+      .filter(m => matchesFilters(m, filters) && canSee(user, m))
+      .slice(0, limit);
+    this.emit('recall', { query: q, filters, results: memories });
+    return memories;
+  }
+
+  // Triples naming an entity from the message that `identity` may see, from a short-lived cache of the graph
+  async _graphFacts(message, identity = null) {
+    if (!this.graphContext || !this.backend) return [];
+    if (!this._graphCache || Date.now() - this._graphCache.at > this.graphCacheTtl) {
+      this._graphCache = { at: Date.now(), triples: await this.edges({ limit: 500 }) };
+    }
+    const visible = this._graphCache.triples.filter(t => canSee(identity, t));
+    return mentionedTriples(visible, message, this.graphContextLimit);
+  }
+
+  // The closest memories to a turn that `identity` can see
+  async _nearby(text, identity = null, limit = 3) {
+    if (!this.dedupe) return [];
+    const result = await this._cachedSearch({ q: text, limit: identity ? limit * 3 : limit });
+    return (result?.memories || []).filter(m => canSee(identity, m)).slice(0, limit);
+  }
+
+  // Each session's latest recall, for deduping the reply; bounded like the context history
+  _rememberTurn(sessionId, recalled) {
+    const key = sessionId ?? '';
+    this._turnRecall.delete(key);
+    this._turnRecall.set(key, recalled);
+    if (this._turnRecall.size > this.context.maxSessions) this._turnRecall.delete(this._turnRecall.keys().next().value);
+  }
+
+  // Identical searches share one request and, until the next write, one result
+  _cachedSearch(params) {
+    return this.recallCache.fetch(JSON.stringify(params), () => this._call('searchMemories', params));
+  }
+
+  // Hook auto-captures wait up to captureBatchDelay ms and are saved together
+  _queueCapture(text, tags, opts = {}, item = { text, tags, opts }) {
+    if (!this.backend || !this.autoSave) return;
+    this._captureBatch.push(item);
+    if (!this.captureBatchDelay || this._captureBatch.length >= this.captureBatchSize) {
+      this._backgroundFlush();
+    } else if (!this._captureTimer) {
+      this._captureTimer = setTimeout(() => this._backgroundFlush(), this.captureBatchDelay);
+      // Never keep the host process alive just to save, but save before it exits
+      if (this._captureTimer.unref) this._captureTimer.unref();
+      process.removeListener('beforeExit', this._flushOnExit);
+      process.once('beforeExit', this._flushOnExit);
+    }
+  }
+
+  _backgroundFlush() {
+    this.flushCaptures().catch(error => this.logger.warn(`Auto-capture flush failed: ${error.message}`));
+  }
+
+  _captureStatus() {
+    if (!this.autoSave) return 'off';
+    const pending = this._captureBatch.length > 0 ? `, ${this._captureBatch.length} turn(s) pending` : '';
+    if (!this.throttle) return `full${pending}`;
+    const { mode, reason } = this.throttle.state();
+    return `${mode}${reason ? ` (${reason})` : ''}${pending}`;
+  }
+
+  _cacheStatus() {
+    if (!this.recallCache.ttl) return 'disabled';
+    const rate = this.recallCache.hitRate();
+    return `${this.recallCache.size} cached${rate == null ? '' : `, ${Math.round(rate * 100)}% hit rate`}`;
+  }
+
+  // Prefer the backend's own list; otherwise show what this agent's journal changed since
+  _rollbackAffected(preview, target) {
+    if (Array.isArray(preview.affected)) return preview.affected;
+    if (!this.journal) return [];
+    const since = new Date(target).getTime();
+    return this.journal.entries
+      .filter(e => !e.undone && new Date(e.at).getTime() > since)
+      .reverse()
+      .map(e => ({ observation: e.observation, action: e.type === 'remember' ? 'remove' : 'restore' }));
+  }
+
+  _setPending(kind, sessionId, data) {
+    this._pending.set(`${kind}:${sessionId ?? ''}`, { data, expiresAt: Date.now() + this.confirmTimeout });
+  }
+
+  // Returns and clears a pending confirmation, or null if missing/expired
+  _takePending(kind, sessionId) {
+    const key = `${kind}:${sessionId ?? ''}`;
+    const pending = this._pending.get(key);
+    this._pending.delete(key);
+    if (!pending || pending.expiresAt < Date.now()) return null;
+    return pending.data;
+  }
+
+  // Undo or redo journal entries: the inverse of a write is a delete and vice versa
+  async _replayJournal(entries, direction) {
+    const tally = { done: 0, restored: 0, queued: 0, failed: 0 };
+    for (const entry of entries) {
+      const create = (entry.type === 'forget') === (direction === 'undo');
+      let id = entry.id;
+      let ok;
+      if (create) {
+        const result = await this._call('createMemory', { observation: entry.observation, tags: entry.tags });
+        ok = !!result;
+        if (result?.queued) tally.queued++;
+        id = result ? (result.uuid || result.id || null) : id;
       } else {
-        console.error(`[NovyxMemory] API Error (${status}) during ${action}:`, data);
+        const result = id ? await this.forget(id) : null;
+        // Already gone (e.g. rolled back) counts as done — but only if this delete said so
+        ok = !!result || (!!id && this.lastError?.status === 404);
+        if (result?.queued) tally.queued++;
+      }
+      if (!ok) {
+        tally.failed++;
+        continue;
       }
-    } else if (error.code === 'ECONNABORTED') {
-      console.warn(`[NovyxMemory] Request timeout during ${action}. The API may be temporarily slow.`);
-    } else if (error.request) {
-      console.error(`[NovyxMemory] Network error during ${action}: ${error.message}`);
+      tally.done++;
+      if (create && entry.type === 'forget') tally.restored++;
+      if (direction === 'undo') this.journal.markUndone(entry, id);
+      else this.journal.markRedone(entry, id);
+    }
+    return tally;
+  }
+
+  _journalStatus() {
+    if (!this.journal) return 'disabled';
+    return `${this.journal.undoable().length} undoable, ${this.journal.redoable().length} redoable`;
+  }
+
+  _queueStatus() {
+    if (!this.queue) return 'disabled';
+    if (this.queue.depth === 0) return 'empty';
+    const wait = Math.max(0, Math.ceil((this.queue.nextAttemptAt - Date.now()) / 1000));
+    return `${this.queue.depth} pending (next retry in ${wait}s)`;
+  }
+
+  // Identified users may bring their own time zone and locale
+  _timeOptions() {
+    const speaker = this._speaker();
+    return { timeZone: speaker?.timeZone || this.timeZone, locale: speaker?.locale || this.locale };
+  }
+
+  // ---- Error Handling ----
+
+  // Converts to a typed NovyxError, logs it, and emits `rateLimited` / `error`
+  _handleError(error, op) {
+    const typed = errors.toNovyxError(error, op);
+    const quiet = typed instanceof errors.RateLimitError || typed instanceof errors.TierLimitError ||
+                  typed instanceof errors.AuthError || typed instanceof errors.TimeoutError ||
+                  typed instanceof errors.NotFoundError;
+    this.logger[quiet ? 'warn' : 'error'](typed.message, typed);
+    this._commandScope.getStore()?.errors.push(typed);
+    if (typed instanceof errors.RateLimitError) {
+      this.throttle?.pause(typed.retryAfterMs ?? 60 * 1000, 'rate limited');
+      this.emit('rateLimited', { error: typed, op, retryAfterMs: typed.retryAfterMs });
     }
+    // EventEmitter throws on an unhandled 'error' event — only emit when someone listens
+    if (this.listenerCount('error') > 0) this.emit('error', typed);
+    return typed;
   }
 }
 
+function sessionFromTags(tags = []) {
+  const tag = tags.find(t => t.startsWith('session:'));
+  return tag ? tag.slice('session:'.length) : null;
+}
+
 module.exports = NovyxMemory;
 module.exports.VERSION = VERSION;
+module.exports.HttpBackend = HttpBackend;
+module.exports.LocalBackend = LocalBackend;
+module.exports.ContextBuilder = ContextBuilder;
+module.exports.Redactor = Redactor;
+module.exports.CommandRegistry = CommandRegistry;
+module.exports.errors = errors;
+// The test double is only loaded by code that asks for it
+Object.defineProperty(module.exports, 'FakeNovyxApi', { enumerable: true, get: () => require('./lib/fake-api') });
+module.exports.McpServer = McpServer;
+module.exports.HttpApi = HttpApi;
 
 // CLI quick check
 if (require.main === module) {
-  const m = new NovyxMemory();
-  console.log(`novyx-memory v${VERSION} — ${m.apiKey ? 'API key set' : 'no API key'}`);
-  console.log('Commands: !remember, !search, !rollback, !forget, !undo, !audit, !edges, !status, !help');
+  require('./lib/cli').main();
 }
@@ -0,0 +1,97 @@
+/**
+ * Audit chain hashing and verification.
+ *
+ * Each entry's hash is SHA-256 over the canonical JSON (keys sorted at every
+ * level) of the whole entry except `entry_hash`, with `prev_hash` set to the
+ * previous entry's hash:
+ *
+ *   sha256(canonicalJson({ ...entry, prev_hash }))
+ *
+ * Stores may keep a private `detail` (e.g. the memory a write touched) out of
+ * the published entry; it is covered through `detail_hash` instead, so the
+ * chain verifies with or without it. The first entry links to GENESIS_HASH
+ * (64 zeros).
+ */
+
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function hashEntry(entry, prevHash) {
+  const { entry_hash, detail, ...fields } = entry;
+  return sha256(canonicalJson({ ...fields, prev_hash: prevHash }));
+}
+
+function hashDetail(detail) {
+  return sha256(canonicalJson(detail));
+}
+
+/**
+ * Verify a chronological run of audit entries.
+ *
+ * Issues, in order of appearance:
+ *   hash_mismatch  entry_hash (or detail_hash) doesn't match its recomputed value (entry edited)
+ *   gap            prev_hash links to nothing we fetched (entries missing)
+ *   reorder        prev_hash links to a later entry, or timestamps go backwards
+ *   unhashed       entry has no entry_hash at all
+ *
+ * The first entry's own link can't be checked without its predecessor, so it
+ * is reported as the anchor instead.
+ */
+function verifyChain(entries) {
+  const issues = [];
+  const positions = new Map(entries.map((e, i) => [e.entry_hash, i]));
+
+  entries.forEach((entry, i) => {
+    const prev = i > 0 ? entries[i - 1] : null;
+    if (!entry.entry_hash) {
+      issues.push({ index: i, type: 'unhashed', entry });
+      return;
+    }
+
+    // Entries without an explicit prev_hash are assumed to link to the one before
+    const prevHash = entry.prev_hash ?? prev?.entry_hash ?? GENESIS_HASH;
+    const recomputed = hashEntry(entry, prevHash);
+    if (recomputed !== entry.entry_hash) {
+      issues.push({ index: i, type: 'hash_mismatch', entry, expected: recomputed, actual: entry.entry_hash });
+    } else if (entry.detail !== undefined && hashDetail(entry.detail) !== entry.detail_hash) {
+      issues.push({ index: i, type: 'hash_mismatch', entry, expected: hashDetail(entry.detail), actual: entry.detail_hash });
+    }
+
+    if (prev) {
+      if (prevHash !== prev.entry_hash) {
+        const linked = positions.get(prevHash);
+        issues.push(linked !== undefined && linked > i
+          ? { index: i, type: 'reorder', entry, expected: prev.entry_hash, actual: prevHash }
+          : { index: i, type: 'gap', entry, expected: prev.entry_hash, actual: prevHash });
+      } else if (new Date(entry.timestamp) < new Date(prev.timestamp)) {
+        issues.push({ index: i, type: 'reorder', entry, expected: prev.timestamp, actual: entry.timestamp });
+      }
+    }
+  });
+
+  return {
+    ok: issues.length === 0,
+    checked: entries.length,
+    anchor: entries.length > 0 ? (entries[0].prev_hash ?? null) : null,
+    first: entries[0] || null,
+    last: entries[entries.length - 1] || null,
+    issues,
+    firstBreak: issues[0] || null,
+  };
+}
+
+module.exports = { GENESIS_HASH, canonicalJson, hashEntry, hashDetail, verifyChain };
@@ -0,0 +1,93 @@
+/**
+ * HTTP backend — talks to the hosted Novyx API.
+ *
+ * Every method throws on failure (axios errors are passed through untouched)
+ * so NovyxMemory can decide how to report them.
+ */
+
+const axios = require('axios');
+
+const DEFAULT_API_URL = 'https://novyx-ram-api.fly.dev';
+
+class HttpBackend {
+  constructor(config = {}) {
+    this.name = 'http';
+    this.apiKey = config.apiKey;
+    this.apiUrl = config.apiUrl || DEFAULT_API_URL;
+    // Per-request timeout in ms; rollbacks get longer by default
+    this.timeout = config.timeout || null;
+    // Search filters the API applies server-side; the rest are applied client-side
+    this.filters = new Set(['tags']);
+  }
+
+  async request(method, path, data = null, params = null) {
+    const config = {
+      method,
+      url: `${this.apiUrl}${path}`,
+      headers: { 'Authorization': `Bearer ${this.apiKey}` },
+      timeout: this.timeout || (path.includes('rollback') ? 30000 : 10000),
+    };
+    if (data) config.data = data;
+    if (params) config.params = params;
+    const response = await axios(config);
+    return response.data;
+  }
+
+  // ---- Backend Interface ----
+
+  async createMemory({ observation, tags = [], created_at }) {
+    const data = { observation, tags };
+    // Only sent by imports, to keep the original timestamp
+    if (created_at) data.created_at = created_at;
+    return this.request('post', '/v1/memories', data);
+  }
+
+  async searchMemories({ q, limit, tags }) {
+    const params = { q, limit };
+    if (tags && tags.length > 0) params.tags = tags.join(',');
+    return this.request('get', '/v1/memories/search', null, params);
+  }
+
+  async listMemories({ limit = 100, offset = 0 } = {}) {
+    return this.request('get', '/v1/memories', null, { limit, offset });
+  }
+
+  async deleteMemory(id) {
+    await this.request('delete', `/v1/memories/${id}`);
+    return { deleted: true };
+  }
+
+  async rollback({ target, dry_run }) {
+    return this.request('post', '/v1/rollback', { target, dry_run });
+  }
+
+  async audit({ limit, offset, since }) {
+    const params = { limit };
+    if (offset) params.offset = offset;
+    if (since) params.since = since;
+    return this.request('get', '/v1/audit', null, params);
+  }
+
+  async triples(params) {
+    return this.request('get', '/v1/knowledge/triples', null, params);
+  }
+
+  async createTriple({ subject, predicate, object, confidence, tags }) {
+    const data = { subject, predicate, object };
+    if (confidence != null) data.confidence = confidence;
+    if (tags?.length) data.tags = tags;
+    return this.request('post', '/v1/knowledge/triples', data);
+  }
+
+  async deleteTriple(id) {
+    await this.request('delete', `/v1/knowledge/triples/${id}`);
+    return { deleted: true };
+  }
+
+  async usage() {
+    return this.request('get', '/v1/usage');
+  }
+}
+
+module.exports = HttpBackend;
+module.exports.DEFAULT_API_URL = DEFAULT_API_URL;
@@ -0,0 +1,46 @@
+/**
+ * Storage backends for NovyxMemory.
+ *
+ * A backend is any object implementing:
+ *   createMemory({ observation, tags, [created_at] })
+ *                                        → { uuid, observation, tags, created_at }
+ *   searchMemories({ q, limit, tags, since, until })
+ *                                        → { memories: [{ ...memory, score }] }
+ *   filters (optional Set)               which search filters are applied
+ *                                        server-side; the rest run client-side
+ *   listMemories({ limit, offset })      → { memories (oldest first), total_count }
+ *   deleteMemory(id)                     → { deleted: true }
+ *   rollback({ target, dry_run })        → { rolled_back_to, artifacts_restored, operations_undone, [affected] }
+ *   audit({ limit, offset, since })      → { entries (oldest first), total_count }
+ *                                          offset counts back from the newest entry
+ *   triples({ subject, predicate, object, limit, offset }) → { triples, total_count }
+ *   createTriple({ subject, predicate, object, confidence, [tags] }) → { id, subject, predicate, object, tags }
+ *   deleteTriple(id)                     → { deleted: true }
+ *   usage()                              → { tier, memories, api_calls, rollbacks }
+ *
+ * Methods throw on failure; errors shaped like axios errors
+ * (`error.response.status`) get the same handling as API errors.
+ */
+
+const HttpBackend = require('./http');
+const LocalBackend = require('./local');
+
+const BACKENDS = {
+  http: HttpBackend,
+  local: LocalBackend,
+};
+
+function createBackend(config = {}) {
+  const backend = config.backend || 'http';
+  if (typeof backend === 'object') return backend;
+
+  const Backend = BACKENDS[backend];
+  if (!Backend) {
+    throw new Error(`Unknown backend "${backend}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  // The hosted API is unusable without a key
+  if (Backend === HttpBackend && !config.apiKey) return null;
+  return new Backend(config);
+}
+
+module.exports = { createBackend, HttpBackend, LocalBackend };
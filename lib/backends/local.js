@@ -0,0 +1,307 @@
+/**
+ * Local backend — a file-backed store for offline and air-gapped use.
+ *
+ * Layout under `storagePath`:
+ *   memories.json  current memories (rewritten atomically on every change)
+ *   triples.json   knowledge graph triples
+ *   audit.jsonl    append-only, SHA-256 hash-chained log of writes (searches aren't logged)
+ *
+ * Search is keyword-based (BM25) instead of semantic, with scores
+ * normalized to 0..1 so callers can treat them like API scores.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { GENESIS_HASH, hashEntry, hashDetail } = require('../audit');
+const { matchesFilters } = require('../query');
+
+const DEFAULT_STORAGE_PATH = '.novyx-memory';
+
+// BM25 tuning (standard defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'does', 'for', 'from',
+  'has', 'have', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or',
+  'our', 'so', 'that', 'the', 'this', 'to', 'was', 'we', 'what', 'with', 'you',
+]);
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(t => t && !STOPWORDS.has(t));
+}
+
+class LocalBackend {
+  constructor(config = {}) {
+    this.name = 'local';
+    this.storagePath = path.resolve(config.storagePath || DEFAULT_STORAGE_PATH);
+    // Search filters applied natively; 'listing' means an empty query lists newest first
+    this.filters = new Set(['tags', 'since', 'until', 'listing']);
+    this._memories = null;
+    this._triples = null;
+    this._lastHash = null;
+    this._auditCount = 0;
+  }
+
+  // ---- Persistence ----
+
+  _file(name) {
+    return path.join(this.storagePath, name);
+  }
+
+  _readJson(name, fallback) {
+    try {
+      return JSON.parse(fs.readFileSync(this._file(name), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return fallback;
+      throw error;
+    }
+  }
+
+  _writeJson(name, value) {
+    const file = this._file(name);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  _load() {
+    if (this._memories) return;
+    fs.mkdirSync(this.storagePath, { recursive: true });
+    this._memories = this._readJson('memories.json', []);
+    this._triples = this._readJson('triples.json', []);
+    const entries = this._readAudit();
+    this._auditCount = entries.length;
+    this._lastHash = entries.length > 0 ? entries[entries.length - 1].entry_hash : GENESIS_HASH;
+  }
+
+  _readAudit() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this._file('audit.jsonl'), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return raw.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  // `detail` is what rollback replays; it stays out of audit() but is hashed into the chain
+  _log(method, endpoint, status, detail = null) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      method: method.toUpperCase(),
+      endpoint,
+      status,
+    };
+    if (detail) entry.detail_hash = hashDetail(detail);
+    entry.prev_hash = this._lastHash;
+    entry.entry_hash = hashEntry(entry, this._lastHash);
+    fs.appendFileSync(this._file('audit.jsonl'), JSON.stringify(detail ? { ...entry, detail } : entry) + '\n');
+    this._lastHash = entry.entry_hash;
+    this._auditCount++;
+    return entry;
+  }
+
+  _notFound(id, kind = 'Memory') {
+    const error = new Error(`${kind} ${id} not found`);
+    error.response = { status: 404, data: { detail: `${kind} ${id} not found` } };
+    return error;
+  }
+
+  // ---- Backend Interface ----
+
+  async createMemory({ observation, tags = [], created_at }) {
+    this._load();
+    const memory = {
+      uuid: crypto.randomUUID(),
+      observation,
+      tags: [...tags],
+      created_at: created_at || new Date().toISOString(),
+    };
+    this._memories.push(memory);
+    this._writeJson('memories.json', this._memories);
+    this._log('post', '/v1/memories', 201, { op: 'create', memory });
+    return { ...memory };
+  }
+
+  async searchMemories({ q, limit = 5, tags, since, until }) {
+    this._load();
+    const pool = this._memories.filter(m => matchesFilters(m, { tags, since, until }));
+    const queryTerms = [...new Set(tokenize(q))];
+    if (queryTerms.length === 0 || pool.length === 0) {
+      // No search terms: filters alone list the newest matches
+      const listed = String(q || '').trim() ? [] : [...pool].reverse().slice(0, limit);
+      return { memories: listed.map(m => ({ ...m, score: null })) };
+    }
+
+    const docs = this._memories.map(m => tokenize(`${m.observation} ${(m.tags || []).join(' ')}`));
+    const avgLen = docs.reduce((sum, d) => sum + d.length, 0) / docs.length || 1;
+    const n = docs.length;
+    const idf = {};
+    for (const term of queryTerms) {
+      const df = docs.filter(d => d.includes(term)).length;
+      idf[term] = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+    }
+    const maxScore = queryTerms.reduce((sum, t) => sum + idf[t], 0);
+
+    const allowed = new Set(pool);
+    const scored = [];
+    docs.forEach((doc, i) => {
+      let raw = 0;
+      for (const term of queryTerms) {
+        const tf = doc.filter(t => t === term).length;
+        if (tf === 0) continue;
+        raw += idf[term] * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * (doc.length / avgLen)));
+      }
+      if (raw > 0 && allowed.has(this._memories[i])) {
+        scored.push({ ...this._memories[i], score: Math.min(1, raw / maxScore) });
+      }
+    });
+    scored.sort((a, b) => b.score - a.score);
+    return { memories: scored.slice(0, limit) };
+  }
+
+  async deleteMemory(id) {
+    this._load();
+    const index = this._memories.findIndex(m => m.uuid === id);
+    if (index === -1) {
+      this._log('delete', `/v1/memories/${id}`, 404);
+      throw this._notFound(id);
+    }
+    const [memory] = this._memories.splice(index, 1);
+    this._writeJson('memories.json', this._memories);
+    this._log('delete', `/v1/memories/${id}`, 200, { op: 'delete', memory });
+    return { deleted: true };
+  }
+
+  async rollback({ target, dry_run }) {
+    this._load();
+    const targetMs = new Date(target).getTime();
+    const undo = this._readAudit()
+      .filter(e => e.detail?.op && new Date(e.timestamp).getTime() > targetMs)
+      .map(e => e.detail)
+      .reverse();
+
+    // Replay the log backwards: creations are removed, deletions restored,
+    // and earlier rollbacks are inverted
+    const state = new Map(this._memories.map(m => [m.uuid, m]));
+    for (const e of undo) {
+      if (e.op === 'create') {
+        state.delete(e.memory.uuid);
+      } else if (e.op === 'delete') {
+        state.set(e.memory.uuid, e.memory);
+      } else if (e.op === 'rollback') {
+        for (const m of e.restored) state.delete(m.uuid);
+        for (const m of e.removed) state.set(m.uuid, m);
+      }
+    }
+    const current = new Set(this._memories.map(m => m.uuid));
+    const restored = [...state.values()].filter(m => !current.has(m.uuid));
+    const removed = this._memories.filter(m => !state.has(m.uuid));
+
+    const result = {
+      rolled_back_to: new Date(targetMs).toISOString(),
+      artifacts_restored: restored.length,
+      operations_undone: undo.length,
+      affected: [
+        ...restored.map(m => ({ ...m, action: 'restore' })),
+        ...removed.map(m => ({ ...m, action: 'remove' })),
+      ],
+      dry_run: !!dry_run,
+    };
+    if (dry_run || undo.length === 0) return result;
+
+    this._memories = [...state.values()]
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+    this._writeJson('memories.json', this._memories);
+    this._log('post', '/v1/rollback', 201, { op: 'rollback', target: result.rolled_back_to, restored, removed });
+    return result;
+  }
+
+  // Pages count back from the newest entry: offset 0 is the latest `limit` entries
+  async audit({ limit = 10, offset = 0, since } = {}) {
+    this._load();
+    let entries = this._readAudit();
+    const total = entries.length;
+    if (since) entries = entries.filter(e => new Date(e.timestamp) >= new Date(since));
+    const end = Math.max(0, entries.length - offset);
+    return {
+      entries: entries
+        .slice(Math.max(0, end - limit), end)
+        .map(({ detail, ...e }) => e),
+      total_count: total,
+    };
+  }
+
+  // Oldest first, for export
+  async listMemories({ limit = 100, offset = 0 } = {}) {
+    this._load();
+    return {
+      memories: this._memories.slice(offset, offset + limit).map(m => ({ ...m })),
+      total_count: this._memories.length,
+    };
+  }
+
+  async triples(params = {}) {
+    this._load();
+    const match = (value, filter) => !filter || String(value).toLowerCase() === String(filter).toLowerCase();
+    const triples = this._triples.filter(t =>
+      match(t.subject, params.subject) &&
+      match(t.predicate, params.predicate) &&
+      match(t.object, params.object));
+    const offset = params.offset || 0;
+    return { triples: triples.slice(offset, offset + (params.limit || 50)), total_count: triples.length };
+  }
+
+  async createTriple({ subject, predicate, object, confidence = null, tags = [] }) {
+    this._load();
+    const triple = {
+      id: crypto.randomUUID(),
+      subject,
+      predicate,
+      object,
+      confidence,
+      tags,
+      created_at: new Date().toISOString(),
+    };
+    this._triples.push(triple);
+    this._writeJson('triples.json', this._triples);
+    this._log('post', '/v1/knowledge/triples', 201);
+    return { ...triple };
+  }
+
+  async deleteTriple(id) {
+    this._load();
+    const index = this._triples.findIndex(t => t.id === id);
+    if (index === -1) {
+      this._log('delete', `/v1/knowledge/triples/${id}`, 404);
+      throw this._notFound(id, 'Triple');
+    }
+    this._triples.splice(index, 1);
+    this._writeJson('triples.json', this._triples);
+    this._log('delete', `/v1/knowledge/triples/${id}`, 200);
+    return { deleted: true };
+  }
+
+  async usage() {
+    this._load();
+    return {
+      tier: 'Local',
+      memories: { current: this._memories.length, unlimited: true },
+      api_calls: { current: this._auditCount, unlimited: true },
+      rollbacks: {
+        current: this._readAudit().filter(e => e.detail?.op === 'rollback').length,
+        unlimited: true,
+      },
+    };
+  }
+}
+
+module.exports = LocalBackend;
+module.exports.DEFAULT_STORAGE_PATH = DEFAULT_STORAGE_PATH;
+module.exports.tokenize = tokenize;
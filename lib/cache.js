@@ -0,0 +1,95 @@
+/**
+ * Recall cache — an LRU of search results with a TTL, plus coalescing of
+ * identical searches that are already in flight.
+ *
+ * NovyxMemory clears it on every local write, so a cached result is at most
+ * `ttl` old with respect to writes made elsewhere (other agents, the API).
+ */
+
+const DEFAULT_MAX_ENTRIES = 100;
+const DEFAULT_TTL = 60 * 1000;
+
+class RecallCache {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.maxEntries] Least recently used results are evicted beyond this
+   * @param {number} [opts.ttl]        Milliseconds a result stays fresh; 0 disables caching
+   */
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES, ttl = DEFAULT_TTL } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this._entries = new Map(); // key -> { value, expires }, oldest first
+    this._inflight = new Map(); // key -> Promise
+    this._generation = 0;
+    this.stats = { hits: 0, misses: 0, coalesced: 0 };
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * Cached value for `key`, the pending load of an identical request, or a
+   * new `load()`. Null/undefined results (failures) are never cached.
+   */
+  async fetch(key, load) {
+    const hit = this._get(key);
+    if (hit !== undefined) {
+      this.stats.hits++;
+      return hit;
+    }
+    if (this._inflight.has(key)) {
+      this.stats.coalesced++;
+      return this._inflight.get(key);
+    }
+    this.stats.misses++;
+    const generation = this._generation;
+    const pending = (async () => {
+      try {
+        const value = await load();
+        // A write that landed mid-request may not be reflected — don't keep it
+        if (value != null && generation === this._generation) this._set(key, value);
+        return value;
+      } finally {
+        this._inflight.delete(key);
+      }
+    })();
+    this._inflight.set(key, pending);
+    return pending;
+  }
+
+  clear() {
+    this._entries.clear();
+    this._inflight.clear();
+    this._generation++;
+  }
+
+  hitRate() {
+    const total = this.stats.hits + this.stats.misses + this.stats.coalesced;
+    return total === 0 ? null : (this.stats.hits + this.stats.coalesced) / total;
+  }
+
+  _get(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expires <= Date.now()) {
+      this._entries.delete(key);
+      return undefined;
+    }
+    // Re-insert to mark as most recently used
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    return entry.value;
+  }
+
+  _set(key, value) {
+    if (!this.ttl || this.maxEntries < 1) return;
+    this._entries.delete(key);
+    this._entries.set(key, { value, expires: Date.now() + this.ttl });
+    while (this._entries.size > this.maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+}
+
+module.exports = RecallCache;
@@ -0,0 +1,107 @@
+/**
+ * Save pipeline for auto-captured turns.
+ *
+ * 1. Extraction — split a turn into short, self-contained facts. The default
+ *    is rule-based; pass `extractor` (e.g. an LLM call) to replace it.
+ * 2. Dedupe — compare each fact with the closest existing memories and
+ *    decide whether to save it, skip it (duplicate), merge it (it extends an
+ *    existing memory, which is replaced) or mark it as superseding an
+ *    existing memory it contradicts.
+ */
+
+const MAX_FACT_LENGTH = 500;
+const MIN_FACT_LENGTH = 15;
+
+// Conversational filler that carries no fact on its own
+const FILLER = /^(ok(ay)?|sure|thanks?( you)?|hi|hello|hey|got it|great|cool|no problem|happy to help|let me|i('| a)m going to|i('|\s+wi)ll|here('s| is| are)|of course|absolutely|certainly)\b/i;
+// Sentences leaning on the previous one ("It runs on...") are glued back to it
+const DEPENDENT = /^(it|this|that|these|those|they|he|she|which|also|and|but|so)\b/i;
+const NEGATION = /\b(not|no|never|none|isn't|aren't|wasn't|weren't|don't|doesn't|didn't|won't|can't|cannot|no longer)\b/i;
+
+function words(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:\.[\p{L}\p{N}]+)*/gu) || [];
+}
+
+function numbers(text) {
+  return new Set(String(text || '').match(/\d+(?:\.\d+)*/g) || []);
+}
+
+// Numbers changed (not just added): "Postgres 15" vs "Postgres 16"
+function numbersConflict(a, b) {
+  const numsA = numbers(a);
+  const numsB = numbers(b);
+  const subset = (x, y) => [...x].every(n => y.has(n));
+  return !subset(numsA, numsB) && !subset(numsB, numsA);
+}
+
+function jaccard(a, b) {
+  const setA = new Set(words(a));
+  const setB = new Set(words(b));
+  if (setA.size === 0 && setB.size === 0) return 1;
+  let shared = 0;
+  for (const w of setA) if (setB.has(w)) shared++;
+  return shared / (setA.size + setB.size - shared);
+}
+
+// Share of `inner`'s words that also appear in `outer`
+function containment(inner, outer) {
+  const setInner = new Set(words(inner));
+  const setOuter = new Set(words(outer));
+  if (setInner.size === 0) return 0;
+  let shared = 0;
+  for (const w of setInner) if (setOuter.has(w)) shared++;
+  return shared / setInner.size;
+}
+
+function extractFacts(text) {
+  const sentences = String(text || '')
+    .split(/\n+|(?<=[.!?])\s+(?=[A-Z0-9"'`(])/)
+    .map(s => s.replace(/^\s*([-*•]|\d+[.)])\s+/, '').trim())
+    .filter(Boolean);
+
+  const facts = [];
+  for (const sentence of sentences) {
+    if (DEPENDENT.test(sentence) && facts.length > 0) {
+      facts[facts.length - 1] += ` ${sentence}`;
+      continue;
+    }
+    facts.push(sentence);
+  }
+
+  return facts
+    .filter(f => f.length >= MIN_FACT_LENGTH && !f.endsWith('?') && !FILLER.test(f))
+    .map(f => (f.length > MAX_FACT_LENGTH ? f.slice(0, MAX_FACT_LENGTH) + '...' : f));
+}
+
+/**
+ * Decide what to do with a fact given its closest existing memories.
+ * @returns {{ action: 'save'|'skip'|'merge'|'supersede', match: object|null }}
+ */
+function classify(fact, existing, opts = {}) {
+  const duplicateThreshold = opts.duplicateThreshold ?? 0.85;
+  const relatedThreshold = opts.relatedThreshold ?? 0.5;
+
+  let best = null;
+  let bestSim = 0;
+  for (const memory of existing) {
+    const sim = jaccard(fact, memory.observation);
+    if (sim > bestSim) {
+      best = memory;
+      bestSim = sim;
+    }
+  }
+  if (!best || bestSim < relatedThreshold) return { action: 'save', match: null };
+
+  // Same statement with a different number, or flipped negation
+  const conflicts = numbersConflict(fact, best.observation) ||
+    NEGATION.test(fact) !== NEGATION.test(best.observation);
+  if (conflicts) return { action: 'supersede', match: best };
+  if (bestSim >= duplicateThreshold || containment(fact, best.observation) === 1) {
+    return { action: 'skip', match: best };
+  }
+  // The new fact restates the old one and adds to it
+  if (containment(best.observation, fact) === 1) return { action: 'merge', match: best };
+  return { action: 'save', match: null };
+}
+
+module.exports = { extractFacts, classify, jaccard, MAX_FACT_LENGTH };
@@ -0,0 +1,59 @@
+/**
+ * Named checkpoints — restore points for `!rollback <name>`, kept per agent.
+ *
+ * Entries: { name, at, auditHash, sessionId }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class Checkpoints {
+  constructor(opts) {
+    this.file = path.resolve(opts.file);
+    this.entries = this._read();
+  }
+
+  get(name) {
+    return this.entries.find(c => c.name === name) || null;
+  }
+
+  // Newest first
+  list() {
+    return [...this.entries].sort((a, b) => b.at.localeCompare(a.at));
+  }
+
+  set({ name, at = new Date().toISOString(), auditHash = null, sessionId = null }) {
+    const checkpoint = { name, at, auditHash, sessionId };
+    const index = this.entries.findIndex(c => c.name === name);
+    if (index === -1) this.entries.push(checkpoint);
+    else this.entries[index] = checkpoint;
+    this._write();
+    return checkpoint;
+  }
+
+  delete(name) {
+    const before = this.entries.length;
+    this.entries = this.entries.filter(c => c.name !== name);
+    if (this.entries.length === before) return false;
+    this._write();
+    return true;
+  }
+
+  _read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  _write() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.entries, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+module.exports = Checkpoints;
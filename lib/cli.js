@@ -0,0 +1,273 @@
+/**
+ * `novyx-memory` command line — inspect and repair an agent's memory from a
+ * shell. Subcommands run the same handlers as the chat commands; `repl`
+ * feeds lines through onMessage and shows the context that would be injected.
+ *
+ *   novyx-memory search postgres since:2d --json
+ *   novyx-memory forget "old deploy config" --yes
+ *   novyx-memory repl --session support-42
+ *   novyx-memory mcp                      # MCP tools over stdio
+ *   novyx-memory serve --port 8787        # the same tools as a JSON HTTP API
+ */
+
+const readline = require('readline');
+const McpServer = require('./mcp');
+const HttpApi = require('./http-api');
+
+// CLI subcommand -> chat command; `confirm` ones preview unless --yes
+const SUBCOMMANDS = {
+  remember: { usage: '<text> [#tag ...]', summary: 'Save a fact' },
+  search: { usage: '<query> [tag:x role:user since:2d limit:N]', summary: 'Search memories' },
+  forget: { usage: '<topic>', summary: 'Preview memories matching a topic; --yes deletes them', confirm: true },
+  undo: { usage: '[N]', summary: 'Undo the last N saves or forgets in this session' },
+  rollback: { usage: '[name|time|hash]', summary: 'Preview a rollback; --yes executes it', confirm: true },
+  audit: { usage: '[N] [since:<time>]', summary: 'Show the last N operations with hashes' },
+  edges: { usage: '[entity] [predicate:x depth:N format:mermaid|dot]', summary: 'Query the knowledge graph' },
+  status: { usage: '', summary: 'Usage, tier, queue and cache status' },
+  export: { usage: '[jsonl|md] [path]', summary: 'Write all memories and triples to a file' },
+  repl: { usage: '', summary: 'Interactive session through the onMessage pipeline' },
+  mcp: { usage: '', summary: 'Serve memory tools to MCP clients over stdio' },
+  serve: { usage: '', summary: 'Serve memory tools as a JSON HTTP API (--port, --host, --token)' },
+};
+
+const OPTIONS = {
+  json: { type: 'boolean', description: 'Print results as JSON' },
+  yes: { type: 'boolean', alias: 'y', description: 'Apply forget/rollback instead of previewing' },
+  session: { type: 'string', description: 'Session ID for undo history and pending previews (default: cli)' },
+  agent: { type: 'string', description: 'Agent ID (default: NOVYX_AGENT_ID or "default")' },
+  backend: { type: 'string', description: 'http or local (default: NOVYX_BACKEND or http)' },
+  storage: { type: 'string', description: 'Storage directory (default: NOVYX_STORAGE_PATH or .novyx-memory)' },
+  user: { type: 'string', description: 'Run as this user ID (memories are scoped to them; admin checks apply)' },
+  admin: { type: 'string', multiple: true, description: 'A user ID allowed admin commands and tools; repeatable (default: NOVYX_ADMINS)' },
+  port: { type: 'string', description: 'serve: port to listen on (default: 8787)' },
+  host: { type: 'string', description: 'serve: address to bind (default: 127.0.0.1)' },
+  token: { type: 'string', description: 'serve: require this bearer token (default: NOVYX_SERVE_TOKEN; needed off 127.0.0.1)' },
+  verbose: { type: 'boolean', description: 'Log debug output to stderr' },
+  help: { type: 'boolean', alias: 'h', description: 'Show help' },
+  version: { type: 'boolean', alias: 'v', description: 'Show the version' },
+};
+
+class CliUsageError extends Error {}
+
+// Options may appear anywhere before a bare `--`; everything else is positional.
+// `multiple` options collect every value into an array
+function parseArgv(argv) {
+  const options = {};
+  const positionals = [];
+  let done = false;
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (done) {
+      positionals.push(arg);
+      continue;
+    }
+    if (arg === '--') {
+      done = true;
+      continue;
+    }
+    const long = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+    const short = arg.match(/^-(\w)$/);
+    const name = long ? long[1] : short ? Object.keys(OPTIONS).find(n => OPTIONS[n].alias === short[1]) : null;
+    if (!name || !OPTIONS[name]) {
+      positionals.push(arg);
+      continue;
+    }
+    if (OPTIONS[name].type === 'boolean') {
+      options[name] = true;
+      continue;
+    }
+    const value = long?.[2] ?? argv[++i];
+    if (value === undefined) throw new CliUsageError(`--${name} needs a value`);
+    options[name] = OPTIONS[name].multiple ? [...(options[name] || []), value] : value;
+  }
+  return { options, positionals };
+}
+
+function helpText(NovyxMemory, name) {
+  if (name && SUBCOMMANDS[name]) {
+    const sub = SUBCOMMANDS[name];
+    return `Usage: novyx-memory ${name}${sub.usage ? ` ${sub.usage}` : ''} [options]\n\n${sub.summary}`;
+  }
+  const width = Math.max(...Object.keys(SUBCOMMANDS).map(n => n.length));
+  const lines = [`novyx-memory v${NovyxMemory.VERSION}`, '', 'Usage: novyx-memory <command> [args] [options]', '', 'Commands:'];
+  for (const [n, sub] of Object.entries(SUBCOMMANDS)) lines.push(`  ${n.padEnd(width)}  ${sub.summary}`);
+  lines.push('', 'Options:');
+  for (const [n, opt] of Object.entries(OPTIONS)) {
+    const flag = `${opt.alias ? `-${opt.alias}, ` : '    '}--${n}${opt.type === 'string' ? ' <value>' : ''}`;
+    lines.push(`  ${flag.padEnd(22)}  ${opt.description}`);
+  }
+  return lines.join('\n');
+}
+
+// Chat replies are markdown; drop the emphasis for a terminal
+function plain(text) {
+  return String(text ?? '')
+    .replace(/\*\*|`/g, '')
+    .replace(/^\*(.+)\*$/gm, '$1');
+}
+
+function toMessage(memory, name, args) {
+  // Commands with a rest argument take the text as typed; quote the others' multi-word args
+  const spec = memory.commands.get(name);
+  const rest = spec?.args.some(a => a.rest);
+  const text = args.map(a => (!rest && /\s/.test(a) ? `"${a}"` : a)).join(' ');
+  return `${memory.commands.trigger(name)}${text ? ` ${text}` : ''}`;
+}
+
+async function runSubcommand(memory, name, args, options, sessionId) {
+  const command = memory.commands.trigger(name);
+  const opts = { rich: true, user: options.user || null, fileAccess: true };
+  let result = await memory.runCommand(toMessage(memory, name, args), sessionId, opts);
+  const previewed = result.ok && (result.data?.candidates || result.data?.preview);
+  if (SUBCOMMANDS[name].confirm && previewed) {
+    if (options.yes) {
+      result = await memory.runCommand(`${command} confirm`, sessionId, opts);
+    } else {
+      result.text = result.text.replace(/^Reply `.*$/m, 'Dry run: nothing was changed. Re-run with --yes to apply.');
+    }
+  }
+  return result;
+}
+
+async function repl(memory, { stdin, stdout, options, sessionId }) {
+  const write = text => stdout.write(`${text}\n`);
+  const user = options.user || null;
+  const interactive = stdin.isTTY === true;
+  const rl = readline.createInterface({ input: stdin, output: stdout, terminal: interactive });
+  // Piped input gets no prompts, so the output is just the results
+  const prompt = () => interactive && rl.prompt();
+  if (!options.json) {
+    write(`novyx-memory REPL (session ${sessionId}). Commands like ${memory.commands.trigger('search')} work as in chat;`);
+    write('.response <text> records an agent reply, .flush saves pending captures, .exit quits.');
+  }
+  rl.setPrompt('> ');
+  prompt();
+  for await (const raw of rl) {
+    const line = raw.trim();
+    if (line === '.exit' || line === '.quit') break;
+    if (line === '.flush') {
+      const saved = await memory.flushCaptures();
+      write(options.json ? JSON.stringify({ flushed: saved }) : `${saved.length} fact(s) processed.`);
+    } else if (line.startsWith('.response ')) {
+      await memory.onResponse(line.slice('.response '.length), sessionId, user);
+      if (options.json) write(JSON.stringify({ response: true }));
+    } else if (memory.commands.match(line)) {
+      const result = await memory.runCommand(line, sessionId, { rich: true, user, fileAccess: true });
+      write(options.json ? JSON.stringify(result) : plain(result.text));
+    } else if (line) {
+      const enriched = await memory.onMessage(line, sessionId, user);
+      const injected = enriched !== line;
+      if (options.json) {
+        write(JSON.stringify({
+          message: line,
+          context: injected ? enriched : null,
+          memories: injected ? memory.lastContext : [],
+          facts: injected ? memory.lastFacts : [],
+        }));
+      } else {
+        write(injected ? `--- injected context ---\n${enriched}\n------------------------` : '(no context injected)');
+      }
+    }
+    prompt();
+  }
+  rl.close();
+  await memory.flushCaptures();
+  return 0;
+}
+
+// Runs until SIGINT/SIGTERM (or `until` resolves, for tests)
+async function serve(memory, { stdout, options, port, token, sessionId, until }) {
+  const api = new HttpApi(memory, { token, sessionId });
+  const url = await api.start(port, options.host || '127.0.0.1');
+  stdout.write(`Serving memory tools at ${url}/tools${api.token ? ' (bearer token required)' : ''}\n`);
+  await (until || new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  }));
+  await api.stop();
+  await memory.flushCaptures();
+  return 0;
+}
+
+/**
+ * Runs the CLI and resolves to an exit code: 0 on success, 1 when the
+ * command failed, 2 for usage errors. `memory` overrides the instance
+ * built from the options (for tests and embedding); `until` stops `serve`.
+ */
+async function run(argv, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, memory = null, until = null } = {}) {
+  // Loaded here so `node index.js` can hand off to the CLI
+  const NovyxMemory = require('../index');
+  let parsed;
+  try {
+    parsed = parseArgv(argv);
+  } catch (error) {
+    stderr.write(`novyx-memory: ${error.message}\n`);
+    return 2;
+  }
+  const { options, positionals } = parsed;
+  const [name, ...args] = positionals;
+  if (options.version) {
+    stdout.write(`${NovyxMemory.VERSION}\n`);
+    return 0;
+  }
+  if (options.help || !name || name === 'help') {
+    stdout.write(`${helpText(NovyxMemory, options.help ? name : args[0])}\n`);
+    return 0;
+  }
+  if (!SUBCOMMANDS[name]) {
+    stderr.write(`novyx-memory: unknown command "${name}" (see novyx-memory --help)\n`);
+    return 2;
+  }
+
+  if (SUBCOMMANDS[name].usage.startsWith('<') && args.length === 0) {
+    stderr.write(`${helpText(NovyxMemory, name)}\n`);
+    return 2;
+  }
+
+  const port = Number(options.port ?? 8787);
+  if (name === 'serve' && (!Number.isInteger(port) || port < 0 || port > 65535)) {
+    stderr.write(`novyx-memory: invalid --port "${options.port}"\n`);
+    return 2;
+  }
+  const token = options.token || process.env.NOVYX_SERVE_TOKEN || null;
+  if (name === 'serve' && !token && options.host && !HttpApi.isLoopback(options.host)) {
+    stderr.write(`novyx-memory: serving on ${options.host} needs --token (or NOVYX_SERVE_TOKEN)\n`);
+    return 2;
+  }
+
+  const log = message => stderr.write(`novyx-memory: ${message}\n`);
+  memory = memory || new NovyxMemory({
+    backend: options.backend,
+    storagePath: options.storage,
+    agentId: options.agent,
+    admins: options.admin,
+    logger: { debug: log, info: log, warn: log, error: log },
+    logLevel: options.verbose ? 'debug' : 'warn',
+  });
+  const sessionId = options.session || (name === 'mcp' || name === 'serve' ? name : 'cli');
+  try {
+    if (name === 'repl') return await repl(memory, { stdin, stdout, options, sessionId });
+    if (name === 'mcp') {
+      await new McpServer(memory, { sessionId, user: options.user || null }).listen({ input: stdin, output: stdout });
+      await memory.flushCaptures();
+      return 0;
+    }
+    if (name === 'serve') return await serve(memory, { stdout, options, port, token, sessionId, until });
+    const result = await runSubcommand(memory, name, args, options, sessionId);
+    stdout.write(`${options.json ? JSON.stringify(result, null, 2) : plain(result.text)}\n`);
+    return result.ok ? 0 : 1;
+  } finally {
+    await memory.close();
+  }
+}
+
+function main() {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, error => {
+    process.stderr.write(`novyx-memory: ${error.stack || error.message}\n`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { run, main, parseArgv, SUBCOMMANDS };
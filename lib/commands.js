@@ -0,0 +1,312 @@
+/**
+ * Command registry — matches chat messages to commands, parses declared
+ * arguments and flags, and generates `!help` from the declarations.
+ *
+ * A command spec:
+ *   {
+ *     name: 'remember',                  // invoked as `<prefix>remember`
+ *     aliases: ['rem'],
+ *     summary: 'Save a specific fact',   // one line for the !help list
+ *     usage: '<text> [#tag ...]',        // optional; generated from args/flags otherwise
+ *     args: [{ name, description, required, rest }],
+ *     flags: { force: { type: 'boolean' | 'string' | 'number', alias: 'f', description, default } },
+ *     details: ['Extra lines for `!help <name>`'],
+ *     examples: ['!remember We use Python 3.11 #stack'],
+ *     raw: false,                        // true: skip parsing, the handler reads ctx.input
+ *     hidden: false,                     // true: left out of the !help list
+ *     admin: false,                      // true: only admins may run it when a user is identified
+ *     handler: async ctx => string,
+ *   }
+ *
+ * Handlers receive { args, flags, positionals, input, message, sessionId, command }
+ * (NovyxMemory adds `user`, the speaker or null, and `memory`, the instance).
+ * A `rest` argument takes the raw remainder of the message (quotes and
+ * spacing kept, declared flags removed). Flags are recognized anywhere
+ * before a bare `--` (which is plain text for commands without flags);
+ * undeclared `--words` stay in the arguments.
+ */
+
+const NAME = /^[a-z][\w-]*$/i;
+const TOKEN = /"([^"]*)"|'([^']*)'|(\S+)/g;
+
+class CommandRegistry {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.prefix] Command prefix: `!` → `!remember`, `/mem` → `/mem remember`
+   */
+  constructor({ prefix = '!' } = {}) {
+    if (!prefix || /\s/.test(prefix)) throw new Error(`Invalid command prefix "${prefix}"`);
+    this.prefix = prefix;
+    this._commands = new Map(); // name -> spec
+    this._lookup = new Map(); // lowercased name or alias -> spec
+  }
+
+  register(spec, { override = false } = {}) {
+    if (!spec || !NAME.test(spec.name || '')) throw new Error(`Invalid command name "${spec?.name}"`);
+    if (typeof spec.handler !== 'function') throw new Error(`Command "${spec.name}" needs a handler function`);
+    const command = {
+      aliases: [],
+      summary: '',
+      args: [],
+      flags: {},
+      details: [],
+      examples: [],
+      ...spec,
+    };
+    command.args.forEach((arg, i) => {
+      if (arg.rest && i !== command.args.length - 1) throw new Error(`Command "${spec.name}": only the last argument can be rest`);
+    });
+    const names = [command.name, ...command.aliases].map(n => n.toLowerCase());
+    for (const n of names) {
+      if (!NAME.test(n)) throw new Error(`Invalid alias "${n}" for command "${spec.name}"`);
+      const existing = this._lookup.get(n);
+      if (existing && existing.name !== command.name && !override) {
+        throw new Error(`"${n}" is already used by command "${existing.name}"`);
+      }
+    }
+    if (this._commands.has(command.name)) {
+      if (!override) throw new Error(`Command "${command.name}" is already registered (pass { override: true } to replace it)`);
+      this.unregister(command.name);
+    }
+    for (const n of names) {
+      const existing = this._lookup.get(n);
+      if (existing && existing.name !== command.name) this._removeName(existing, n);
+      this._lookup.set(n, command);
+    }
+    this._commands.set(command.name, command);
+    return command;
+  }
+
+  unregister(name) {
+    const command = this.get(name);
+    if (!command) return false;
+    for (const n of [command.name, ...command.aliases]) this._lookup.delete(n.toLowerCase());
+    this._commands.delete(command.name);
+    return true;
+  }
+
+  get(nameOrAlias) {
+    return this._lookup.get(String(nameOrAlias || '').toLowerCase()) || null;
+  }
+
+  list() {
+    return [...this._commands.values()];
+  }
+
+  // How a command is typed with the current prefix
+  trigger(name) {
+    return /\w$/.test(this.prefix) ? `${this.prefix} ${name}` : `${this.prefix}${name}`;
+  }
+
+  /**
+   * Find the command a message invokes. Returns { command, input } where
+   * input is everything after the command word, or null.
+   */
+  match(message) {
+    const text = String(message || '');
+    if (!text.startsWith(this.prefix)) return null;
+    const after = text.slice(this.prefix.length);
+    const word = (/\w$/.test(this.prefix) ? after.match(/^\s+([\w-]+)/) : after.match(/^([\w-]+)/));
+    if (!word) return null;
+    const end = this.prefix.length + word[0].length;
+    if (end < text.length && !/\s/.test(text[end])) return null;
+    const command = this.get(word[1]);
+    return command ? { command, input: text.slice(end).trim() } : null;
+  }
+
+  // Throws a CommandUsageError when required arguments are missing or a flag is invalid
+  parse(command, input) {
+    const tokens = [...String(input || '').matchAll(TOKEN)].map(m => ({
+      value: m[1] ?? m[2] ?? m[3],
+      quoted: m[3] === undefined,
+      start: m.index,
+      end: m.index + m[0].length,
+    }));
+    const flags = {};
+    for (const [name, def] of Object.entries(command.flags)) {
+      if (def.default !== undefined) flags[name] = def.default;
+      else if (def.type === 'boolean' || !def.type) flags[name] = false;
+    }
+    const positional = [];
+    const cut = [];
+    // A bare `--` only ends flags for commands that have some; otherwise it is text
+    let flagsDone = Object.keys(command.flags).length === 0;
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (!flagsDone && !token.quoted && token.value === '--') {
+        flagsDone = true;
+        cut.push(token);
+        continue;
+      }
+      const flag = !flagsDone && !token.quoted ? this._flag(command, token.value) : null;
+      if (!flag) {
+        positional.push(token);
+        continue;
+      }
+      cut.push(token);
+      const { name, def, value, negated } = flag;
+      if (def.type === 'boolean' || !def.type) {
+        flags[name] = !negated;
+        continue;
+      }
+      let raw = value;
+      if (raw === undefined) {
+        const next = tokens[i + 1];
+        if (!next) throw new CommandUsageError(command, `--${name} needs a value`);
+        raw = next.value;
+        cut.push(next);
+        i++;
+      }
+      if (def.type === 'number') {
+        const n = Number(raw);
+        if (raw === '' || isNaN(n)) throw new CommandUsageError(command, `--${name} must be a number`);
+        flags[name] = n;
+      } else {
+        flags[name] = raw;
+      }
+    }
+
+    const args = {};
+    command.args.forEach((arg, i) => {
+      if (arg.rest) {
+        const from = positional[i];
+        args[arg.name] = from ? removeSpans(input, cut, from.start) : '';
+      } else {
+        args[arg.name] = positional[i]?.value ?? null;
+      }
+      if (arg.required && !args[arg.name]) throw new CommandUsageError(command, `Missing <${arg.name}>`);
+    });
+    return { args, flags, positionals: positional.map(t => t.value) };
+  }
+
+  usage(command) {
+    const trigger = this.trigger(command.name);
+    if (command.usage != null) return command.usage ? `${trigger} ${command.usage}` : trigger;
+    const parts = [trigger];
+    for (const arg of command.args) {
+      const label = arg.rest ? `${arg.name}...` : arg.name;
+      parts.push(arg.required ? `<${label}>` : `[${label}]`);
+    }
+    for (const [name, def] of Object.entries(command.flags)) {
+      parts.push(def.type === 'boolean' || !def.type ? `[--${name}]` : `[--${name} <${def.type}>]`);
+    }
+    return parts.join(' ');
+  }
+
+  // The full !help list, or one command's help
+  help(name) {
+    if (name) {
+      const bare = name.startsWith(this.prefix) ? name.slice(this.prefix.length) : name;
+      const command = this.get(bare.trim());
+      if (!command) return null;
+      const lines = [`**${this.trigger(command.name)}**: ${command.summary}${command.admin ? ' (admins only)' : ''}`, '', `Usage: \`${this.usage(command)}\``];
+      const described = command.args.filter(a => a.description);
+      if (described.length > 0) {
+        lines.push('', 'Arguments:');
+        for (const arg of described) lines.push(`- \`${arg.name}\`${arg.required ? '' : ' (optional)'}: ${arg.description}`);
+      }
+      const flags = Object.entries(command.flags);
+      if (flags.length > 0) {
+        lines.push('', 'Flags:');
+        for (const [flag, def] of flags) {
+          const alias = def.alias ? `, \`-${def.alias}\`` : '';
+          lines.push(`- \`--${flag}\`${alias}: ${def.description || ''}`.trimEnd());
+        }
+      }
+      if (command.details.length > 0) lines.push('', ...command.details);
+      if (command.aliases.length > 0) lines.push('', `Aliases: ${command.aliases.map(a => `\`${this.trigger(a)}\``).join(', ')}`);
+      if (command.examples.length > 0) {
+        lines.push('', 'Examples:');
+        for (const example of command.examples) lines.push(`- \`${example}\``);
+      }
+      return lines.join('\n');
+    }
+    return this.list()
+      .filter(c => !c.hidden)
+      .map(c => `- \`${this.usage(c)}\`: ${c.summary}${c.admin ? ' (admin)' : ''}`)
+      .join('\n');
+  }
+
+  _flag(command, value) {
+    let match = value.match(/^--([\w-]+)(?:=(.*))?$/);
+    if (match) {
+      let name = match[1];
+      let negated = false;
+      if (!command.flags[name] && name.startsWith('no-') && command.flags[name.slice(3)]) {
+        name = name.slice(3);
+        negated = true;
+      }
+      const def = command.flags[name];
+      if (!def || (negated && def.type && def.type !== 'boolean')) return null;
+      return { name, def, value: match[2], negated };
+    }
+    match = value.match(/^-(\w)$/);
+    if (match) {
+      const entry = Object.entries(command.flags).find(([, def]) => def.alias === match[1]);
+      if (entry) return { name: entry[0], def: entry[1], value: undefined, negated: false };
+    }
+    return null;
+  }
+
+  _removeName(command, name) {
+    command.aliases = command.aliases.filter(a => a.toLowerCase() !== name);
+  }
+}
+
+class CommandUsageError extends Error {
+  constructor(command, message) {
+    super(message);
+    this.name = 'CommandUsageError';
+    this.command = command.name;
+  }
+}
+
+class CommandPermissionError extends Error {
+  constructor(command, message) {
+    super(message);
+    this.name = 'CommandPermissionError';
+    this.command = command.name;
+  }
+}
+
+/**
+ * A command's reply with what happened behind it. `ok` is false when a
+ * backend call failed or the arguments were invalid; `error` is the last
+ * such error (a NovyxError, CommandUsageError or CommandPermissionError). String(result) is the text.
+ */
+class CommandResult {
+  constructor({ command, text = null, data = null, errors = [] }) {
+    this.ok = errors.length === 0;
+    this.command = command;
+    this.text = text;
+    this.data = data;
+    this.error = errors[errors.length - 1] || null;
+    this.errors = errors;
+  }
+
+  toString() {
+    return this.text ?? '';
+  }
+
+  toJSON() {
+    const error = this.error && (this.error.toJSON ? this.error.toJSON() : { name: this.error.name, message: this.error.message });
+    return { ok: this.ok, command: this.command, text: this.text, data: this.data, error };
+  }
+}
+
+// input from `from` onward, minus the spans of consumed flag tokens
+function removeSpans(input, spans, from) {
+  const pieces = [];
+  let pos = from;
+  for (const span of [...spans].filter(s => s.start >= from).sort((a, b) => a.start - b.start)) {
+    pieces.push(input.slice(pos, span.start));
+    pos = span.end;
+  }
+  pieces.push(input.slice(pos));
+  return pieces.map(p => p.trim()).filter(Boolean).join(' ');
+}
+
+module.exports = CommandRegistry;
+module.exports.CommandUsageError = CommandUsageError;
+module.exports.CommandPermissionError = CommandPermissionError;
+module.exports.CommandResult = CommandResult;
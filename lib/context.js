@@ -0,0 +1,173 @@
+/**
+ * Context builder — turns recalled memories into the block onMessage
+ * prepends to the user's message.
+ *
+ * Memories are filtered by minimum score, re-ranked with optional recency
+ * and importance weighting, deduplicated (against each other, the current message, and what
+ * was already injected earlier in the session), then packed into a token
+ * budget and rendered through templates or a custom formatter.
+ *
+ * Knowledge graph facts (triples) share the budget after the memories and
+ * render into `{facts}`, or after the memories if the template has no slot.
+ */
+
+const { formatTriple, tripleKey } = require('./graph');
+
+const DEFAULT_TEMPLATE = '[Recalled Memory]\n{memories}\n\nUser: {message}';
+const DEFAULT_ITEM_TEMPLATE = '- {observation}';
+const DEFAULT_FACTS_TEMPLATE = '[Knowledge Graph]\n{facts}';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Rough heuristic (~4 characters per token) — pass countTokens for a real tokenizer
+function approxTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').replace(/[^\p{L}\p{N} ]/gu, '').trim();
+}
+
+function render(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+class ContextBuilder {
+  constructor(config = {}) {
+    // Off by default: local keyword scores run lower than the hosted API's semantic ones
+    this.minScore = config.minRecallScore ?? 0;
+    this.maxTokens = config.contextMaxTokens ?? 500;
+    this.countTokens = config.countTokens || approxTokens;
+    this.recencyWeight = config.recencyWeight ?? 0;
+    this.recencyHalfLife = config.recencyHalfLife || 30 * DAY;
+    // Blends in `memory.importance` (0..1) where the caller has set it
+    this.importanceWeight = config.importanceWeight ?? 0.3;
+    this.dedupeSession = config.contextDedupeSession !== false;
+    this.maxSessions = config.contextSessionLimit ?? 1000;
+    this.maxInjectedPerSession = config.contextSessionMemory ?? 500;
+    this.template = config.contextTemplate || DEFAULT_TEMPLATE;
+    this.itemTemplate = config.contextItemTemplate || DEFAULT_ITEM_TEMPLATE;
+    this.factsTemplate = config.contextFactsTemplate || DEFAULT_FACTS_TEMPLATE;
+    this.formatter = config.contextFormatter || null;
+
+    // sessionId -> Set of memory IDs and normalized texts already injected,
+    // least recently used session first; both levels are capped
+    this._injected = new Map();
+  }
+
+  /**
+   * @returns {{ text: string|null, included: object[], skipped: object[], facts: object[] }}
+   *   text is the full enriched message, or null if nothing was worth injecting
+   */
+  build(memories, { message, sessionId, limit = Infinity, facts = [] } = {}) {
+    const skipped = [];
+    const skip = (memory, reason) => skipped.push({ ...memory, reason });
+    const now = Date.now();
+    const messageKey = normalize(message);
+    const injected = this._sessionSet(sessionId);
+
+    const ranked = memories
+      .map(m => ({ ...m, rank: this._rank(m, now) }))
+      .sort((a, b) => b.rank - a.rank);
+
+    const seen = new Set();
+    const included = [];
+    let used = 0;
+    for (const memory of ranked) {
+      if (included.length >= limit) { skip(memory, 'over_limit'); continue; }
+      const key = normalize(memory.observation);
+      if ((memory.score ?? 1) < this.minScore) { skip(memory, 'low_score'); continue; }
+      if (!key || key === messageKey || (key.length > 20 && messageKey.includes(key))) { skip(memory, 'echoes_message'); continue; }
+      if (seen.has(key)) { skip(memory, 'duplicate'); continue; }
+      if (this.dedupeSession && (injected.has(key) || injected.has(memory.uuid || memory.id))) { skip(memory, 'already_injected'); continue; }
+
+      const cost = this.countTokens(this._item(memory));
+      if (used + cost > this.maxTokens) { skip(memory, 'over_budget'); continue; }
+      used += cost;
+      seen.add(key);
+      included.push(memory);
+    }
+
+    const includedFacts = [];
+    for (const fact of facts) {
+      const key = `triple:${tripleKey(fact)}`;
+      if (seen.has(key) || (this.dedupeSession && injected.has(key))) continue;
+      const cost = this.countTokens(`- ${formatTriple(fact)}`);
+      if (used + cost > this.maxTokens) break;
+      used += cost;
+      seen.add(key);
+      includedFacts.push(fact);
+    }
+
+    if (included.length === 0 && includedFacts.length === 0) return { text: null, included, skipped, facts: [] };
+    if (this.dedupeSession) {
+      for (const m of included) {
+        injected.add(normalize(m.observation));
+        if (m.uuid || m.id) injected.add(m.uuid || m.id);
+      }
+      for (const f of includedFacts) injected.add(`triple:${tripleKey(f)}`);
+      // Oldest injections age out first, so a long session can see them again
+      for (const old of injected) {
+        if (injected.size <= this.maxInjectedPerSession) break;
+        injected.delete(old);
+      }
+    }
+
+    let text;
+    if (this.formatter) {
+      text = this.formatter(included, { message, sessionId, facts: includedFacts });
+    } else {
+      const memoriesBlock = included.map(m => this._item(m)).join('\n');
+      const factsBlock = includedFacts.length > 0
+        ? render(this.factsTemplate, { facts: includedFacts.map(f => `- ${formatTriple(f)}`).join('\n') })
+        : '';
+      text = this.template.includes('{facts}')
+        ? render(this.template, { memories: memoriesBlock, facts: factsBlock, message })
+        : render(this.template, { memories: [memoriesBlock, factsBlock].filter(Boolean).join('\n\n'), message });
+    }
+    return { text, included, skipped, facts: includedFacts };
+  }
+
+  // Forget what was injected so the next turn can recall it again
+  reset(sessionId) {
+    if (sessionId === undefined) this._injected.clear();
+    else this._injected.delete(sessionId);
+  }
+
+  _sessionSet(sessionId) {
+    const key = sessionId ?? '';
+    const set = this._injected.get(key) || new Set();
+    // Re-inserting moves the session to the most recently used end
+    this._injected.delete(key);
+    this._injected.set(key, set);
+    if (this._injected.size > this.maxSessions) this._injected.delete(this._injected.keys().next().value);
+    return set;
+  }
+
+  _rank(memory, now) {
+    let rank = memory.score ?? 1;
+    if (this.recencyWeight && memory.created_at) {
+      const age = Math.max(0, now - new Date(memory.created_at).getTime());
+      const recency = Math.pow(0.5, age / this.recencyHalfLife);
+      rank = rank * (1 - this.recencyWeight) + recency * this.recencyWeight;
+    }
+    if (this.importanceWeight && memory.importance != null) {
+      rank = rank * (1 - this.importanceWeight) + memory.importance * this.importanceWeight;
+    }
+    return rank;
+  }
+
+  _item(memory) {
+    const tags = memory.tags || [];
+    const role = tags.find(t => t.startsWith('role:'))?.slice(5) || (tags.includes('explicit') ? 'explicit' : '');
+    return render(this.itemTemplate, {
+      observation: memory.observation,
+      date: memory.created_at ? memory.created_at.slice(0, 10) : '',
+      role,
+      score: memory.score != null ? `${Math.round(memory.score * 100)}%` : '',
+      tags: tags.join(', '),
+    });
+  }
+}
+
+module.exports = ContextBuilder;
+module.exports.approxTokens = approxTokens;
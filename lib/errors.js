@@ -0,0 +1,96 @@
+/**
+ * Typed errors — every backend failure is converted to a NovyxError subclass
+ * carrying the HTTP status, the operation, and whether (and when) to retry.
+ *
+ *   NovyxError            base; { code, status, op, retryable, retryAfterMs, detail, cause }
+ *   ├─ AuthError          401/403 — missing or invalid API key        code 'auth'
+ *   ├─ TierLimitError     402/403 asking to upgrade                    code 'tier_limit'
+ *   ├─ RateLimitError     429, retryAfterMs from Retry-After           code 'rate_limited'
+ *   ├─ NotFoundError      404                                          code 'not_found'
+ *   ├─ TimeoutError       request timed out                            code 'timeout'
+ *   ├─ NetworkError       no response                                  code 'network'
+ *   └─ ApiError           any other status                             code 'api_error'
+ */
+
+const { isRetryable, retryAfterMs } = require('./queue');
+
+const UPGRADE_URL = 'novyxlabs.com/pricing';
+
+class NovyxError extends Error {
+  constructor(message, { code = 'error', status = null, op = null, retryable = false, retryAfterMs = null, detail = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.op = op;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    this.detail = detail;
+  }
+
+  toJSON() {
+    const { name, code, message, status, op, retryable, retryAfterMs, detail } = this;
+    return { name, code, message, status, op, retryable, retryAfterMs, detail };
+  }
+}
+
+class AuthError extends NovyxError {}
+class TierLimitError extends NovyxError {}
+class RateLimitError extends NovyxError {}
+class NotFoundError extends NovyxError {}
+class TimeoutError extends NovyxError {}
+class NetworkError extends NovyxError {}
+class ApiError extends NovyxError {}
+
+function detailText(data = {}) {
+  const detail = data.detail || data.error || data.message || '';
+  // Messages get ". Upgrade at …" and similar appended; don't double the period
+  return (typeof detail === 'object' ? (detail.message || JSON.stringify(detail)) : String(detail)).replace(/\.$/, '');
+}
+
+// Convert anything a backend throws (axios-shaped or not) into a NovyxError
+function toNovyxError(error, op = null) {
+  if (error instanceof NovyxError) return error;
+  const base = { op, cause: error, retryable: isRetryable(error) };
+  if (error?.response) {
+    const status = error.response.status;
+    const detail = detailText(error.response.data || {});
+    const opts = { ...base, status, detail: detail || null };
+    if (status === 429) {
+      return new RateLimitError(`Rate limit during ${op}. Upgrade at ${UPGRADE_URL}`, {
+        ...opts,
+        code: 'rate_limited',
+        retryAfterMs: retryAfterMs(error),
+      });
+    }
+    if (status === 402 || (status === 403 && /upgrade|tier|limit/i.test(detail))) {
+      return new TierLimitError(`${detail || 'Tier limit reached'}. Upgrade at ${UPGRADE_URL}`, { ...opts, code: 'tier_limit' });
+    }
+    if (status === 401 || status === 403) {
+      return new AuthError(`Access forbidden during ${op}. Check your API key.`, { ...opts, code: 'auth' });
+    }
+    if (status === 404) {
+      return new NotFoundError(detail || `Not found during ${op}`, { ...opts, code: 'not_found' });
+    }
+    return new ApiError(`API error (${status}) during ${op}${detail ? `: ${detail}` : ''}`, { ...opts, code: 'api_error' });
+  }
+  if (error?.code === 'ECONNABORTED') {
+    return new TimeoutError(`Request timeout during ${op}. The API may be temporarily slow.`, { ...base, code: 'timeout' });
+  }
+  if (error?.request) {
+    return new NetworkError(`Network error during ${op}: ${error.message}`, { ...base, code: 'network' });
+  }
+  return new NovyxError(`${op ? `${op} failed: ` : ''}${error?.message || error}`, base);
+}
+
+module.exports = {
+  NovyxError,
+  AuthError,
+  TierLimitError,
+  RateLimitError,
+  NotFoundError,
+  TimeoutError,
+  NetworkError,
+  ApiError,
+  toNovyxError,
+};
@@ -0,0 +1,243 @@
+/**
+ * In-process stand-in for the hosted Novyx API, for offline and
+ * deterministic tests. It serves the endpoints HttpBackend uses, stores
+ * everything through a LocalBackend (BM25 search, audit hash chain,
+ * rollback replay), enforces tier limits, and can be scripted to fail.
+ *
+ *   const api = new FakeNovyxApi({ tier: 'Free' });
+ *   await api.start();
+ *   const memory = new NovyxMemory({ apiKey: api.apiKey, apiUrl: api.url });
+ *   api.fail({ path: '/v1/rollback', status: 403 });   // next rollback is a tier error
+ *   api.fail({ status: 429, retryAfter: 30 });          // next request is rate limited
+ *   api.fail({ path: '/v1/usage', timeout: true });     // next usage call never answers
+ *   await api.stop();
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const LocalBackend = require('./backends/local');
+
+// Per-tier quotas (null = unlimited), as published on the pricing page
+const TIERS = {
+  Free: { memories: 5000, api_calls: 5000, rollbacks: 10, graph: false },
+  Starter: { memories: 25000, api_calls: 25000, rollbacks: 100, graph: false },
+  Pro: { memories: null, api_calls: 100000, rollbacks: null, graph: true },
+  Enterprise: { memories: null, api_calls: null, rollbacks: null, graph: true },
+};
+
+const DEFAULT_DETAIL = {
+  401: 'Invalid API key',
+  403: 'Tier limit reached. Upgrade to continue.',
+  404: 'Not found',
+  429: 'Rate limit exceeded',
+  500: 'Internal server error',
+  503: 'Service unavailable',
+};
+
+class FakeNovyxApi {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.apiKey]       Key clients must send (default: a fixed test key)
+   * @param {string} [opts.tier]         Free | Starter | Pro | Enterprise (default: Pro)
+   * @param {object} [opts.limits]       Override the tier's quotas, e.g. { memories: 3 }
+   * @param {string} [opts.storagePath]  Where data is kept (default: a temp dir removed by stop())
+   */
+  constructor({ apiKey = 'nram_fake_test_key', tier = 'Pro', limits = {}, storagePath } = {}) {
+    if (!TIERS[tier]) throw new Error(`Unknown tier "${tier}" (use ${Object.keys(TIERS).join(', ')})`);
+    this.apiKey = apiKey;
+    this.tier = tier;
+    this.limits = { ...TIERS[tier], ...limits };
+    this._tempDir = storagePath ? null : fs.mkdtempSync(path.join(os.tmpdir(), 'novyx-fake-api-'));
+    this.store = new LocalBackend({ storagePath: storagePath || this._tempDir });
+    this.url = null;
+    this.requests = []; // { method, path, query, body, status }
+    this.apiCalls = 0;
+    this._failures = [];
+    this._server = null;
+  }
+
+  async start(port = 0) {
+    this._server = http.createServer((req, res) => {
+      this._handle(req, res).catch(error => send(res, 500, { detail: error.message }));
+    });
+    await new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(port, '127.0.0.1', resolve);
+    });
+    this.url = `http://127.0.0.1:${this._server.address().port}`;
+    return this.url;
+  }
+
+  async stop() {
+    if (this._server) {
+      // Requests held open by `timeout` failures would keep close() waiting
+      this._server.closeAllConnections();
+      await new Promise(resolve => this._server.close(resolve));
+      this._server = null;
+    }
+    if (this._tempDir) fs.rmSync(this._tempDir, { recursive: true, force: true });
+  }
+
+  /**
+   * Script the next matching request(s) to fail.
+   * @param {object} spec
+   * @param {string} [spec.method]      Only this HTTP method (any by default)
+   * @param {string|RegExp} [spec.path] Path prefix or pattern (any by default)
+   * @param {number} [spec.status]      Status to answer with (default 500)
+   * @param {string} [spec.detail]      Error detail in the body
+   * @param {number} [spec.retryAfter]  Retry-After header, in seconds
+   * @param {boolean} [spec.timeout]    Never answer, so the client times out
+   * @param {number} [spec.times]       How many requests fail (default 1, Infinity for all)
+   */
+  fail(spec = {}) {
+    this._failures.push({ status: 500, times: 1, ...spec });
+    return this;
+  }
+
+  clearFailures() {
+    this._failures = [];
+  }
+
+  async usage() {
+    const local = await this.store.usage();
+    const quota = (current, limit) => (limit == null ? { current, limit: null, unlimited: true } : { current, limit });
+    return {
+      tier: this.tier,
+      memories: quota(local.memories.current, this.limits.memories),
+      api_calls: quota(this.apiCalls, this.limits.api_calls),
+      rollbacks: quota(local.rollbacks.current, this.limits.rollbacks),
+    };
+  }
+
+  // ---- Request handling ----
+
+  async _handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const query = Object.fromEntries(url.searchParams);
+    const body = await readBody(req);
+    const record = { method: req.method, path: url.pathname, query, body, status: null };
+    this.requests.push(record);
+    const reply = (status, data, headers) => {
+      record.status = status;
+      send(res, status, data, headers);
+    };
+
+    if (req.headers.authorization !== `Bearer ${this.apiKey}`) return reply(401, { detail: DEFAULT_DETAIL[401] });
+
+    const failure = this._takeFailure(req.method, url.pathname);
+    if (failure) {
+      if (failure.timeout) {
+        record.status = 'timeout';
+        return;
+      }
+      const headers = failure.retryAfter != null ? { 'Retry-After': String(failure.retryAfter) } : {};
+      return reply(failure.status, { detail: failure.detail || DEFAULT_DETAIL[failure.status] || 'Error' }, headers);
+    }
+
+    this.apiCalls++;
+    if (this.limits.api_calls != null && this.apiCalls > this.limits.api_calls) {
+      return reply(403, { detail: `API call limit reached (${this.limits.api_calls}/month on the ${this.tier} tier). Upgrade for more.` });
+    }
+
+    try {
+      const [status, data] = await this._route(req.method, url.pathname, query, body);
+      reply(status, data);
+    } catch (error) {
+      // LocalBackend errors carry an axios-style response
+      if (!error.response) throw error;
+      reply(error.response.status, error.response.data);
+    }
+  }
+
+  async _route(method, pathname, query, body) {
+    const number = value => (value == null ? undefined : Number(value));
+    const memoryId = pathname.match(/^\/v1\/memories\/([^/]+)$/);
+    const tripleId = pathname.match(/^\/v1\/knowledge\/triples\/([^/]+)$/);
+
+    if (pathname.startsWith('/v1/knowledge/') && !this.limits.graph) {
+      return [403, { detail: `The knowledge graph is not available on the ${this.tier} tier. Upgrade to Pro.` }];
+    }
+
+    if (method === 'POST' && pathname === '/v1/memories') {
+      if (!body.observation) return [422, { detail: 'observation is required' }];
+      const { memories } = await this.usage();
+      if (!memories.unlimited && memories.current >= memories.limit) {
+        return [403, { detail: `Memory limit reached (${memories.limit} on the ${this.tier} tier). Upgrade for more.` }];
+      }
+      return [201, await this.store.createMemory(body)];
+    }
+    if (method === 'GET' && pathname === '/v1/memories') {
+      return [200, await this.store.listMemories({ limit: number(query.limit), offset: number(query.offset) })];
+    }
+    if (method === 'GET' && pathname === '/v1/memories/search') {
+      const tags = query.tags ? query.tags.split(',') : undefined;
+      return [200, await this.store.searchMemories({ q: query.q, limit: number(query.limit), tags })];
+    }
+    if (method === 'DELETE' && memoryId) {
+      return [200, await this.store.deleteMemory(decodeURIComponent(memoryId[1]))];
+    }
+    if (method === 'POST' && pathname === '/v1/rollback') {
+      if (!body.target || isNaN(new Date(body.target).getTime())) return [422, { detail: 'target must be a timestamp' }];
+      const { rollbacks } = await this.usage();
+      if (!body.dry_run && !rollbacks.unlimited && rollbacks.current >= rollbacks.limit) {
+        return [403, { detail: `Rollback limit reached (${rollbacks.limit}/month on the ${this.tier} tier). Upgrade for more.` }];
+      }
+      return [200, await this.store.rollback(body)];
+    }
+    if (method === 'GET' && pathname === '/v1/audit') {
+      return [200, await this.store.audit({ limit: number(query.limit), offset: number(query.offset), since: query.since })];
+    }
+    if (method === 'GET' && pathname === '/v1/knowledge/triples') {
+      const { subject, predicate, object } = query;
+      return [200, await this.store.triples({ subject, predicate, object, limit: number(query.limit), offset: number(query.offset) })];
+    }
+    if (method === 'POST' && pathname === '/v1/knowledge/triples') {
+      if (!body.subject || !body.predicate || !body.object) return [422, { detail: 'subject, predicate and object are required' }];
+      return [201, await this.store.createTriple(body)];
+    }
+    if (method === 'DELETE' && tripleId) {
+      return [200, await this.store.deleteTriple(decodeURIComponent(tripleId[1]))];
+    }
+    if (method === 'GET' && pathname === '/v1/usage') {
+      return [200, await this.usage()];
+    }
+    return [404, { detail: `No route for ${method} ${pathname}` }];
+  }
+
+  _takeFailure(method, pathname) {
+    const index = this._failures.findIndex(f =>
+      (!f.method || f.method.toUpperCase() === method) &&
+      (!f.path || (f.path instanceof RegExp ? f.path.test(pathname) : pathname.startsWith(f.path))));
+    if (index === -1) return null;
+    const failure = this._failures[index];
+    if (--failure.times <= 0) this._failures.splice(index, 1);
+    return failure;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch {
+        resolve({});
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, data, headers = {}) {
+  if (res.headersSent) return;
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+module.exports = FakeNovyxApi;
+module.exports.TIERS = TIERS;
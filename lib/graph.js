@@ -0,0 +1,111 @@
+/**
+ * Knowledge graph helpers — N-hop neighborhoods, Mermaid/DOT rendering, and
+ * picking the triples a message mentions for context injection.
+ *
+ * Triples from the API may carry `{ name }` objects for subject/object;
+ * everything here works on the plain strings returned by normalizeTriple().
+ */
+
+// Deepest traversal !edges and the edges tool allow (each hop costs two lookups per entity)
+const MAX_GRAPH_DEPTH = 4;
+
+function entityName(value) {
+  return String(value?.name ?? value ?? '?');
+}
+
+function normalizeTriple(t) {
+  return {
+    id: t.id || null,
+    subject: entityName(t.subject),
+    predicate: String(t.predicate ?? '?'),
+    object: entityName(t.object),
+    confidence: t.confidence ?? null,
+    tags: t.tags || [],
+  };
+}
+
+function tripleKey(t) {
+  return [t.subject, t.predicate, t.object].map(v => entityName(v).toLowerCase()).join('|');
+}
+
+function formatTriple(t) {
+  const conf = t.confidence != null ? ` (${Math.round(t.confidence * 100)}%)` : '';
+  return `${t.subject} → ${t.predicate} → ${t.object}${conf}`;
+}
+
+/**
+ * Breadth-first walk out from `entity`, following edges in both directions.
+ * `fetch(params)` is called with `{ subject }` or `{ object }` and resolves to
+ * an array of triples. Returns { triples, entities } in discovery order.
+ */
+async function neighborhood(fetch, entity, { depth = 2, limit = 50 } = {}) {
+  const triples = new Map();
+  const visited = new Set([entity.toLowerCase()]);
+  const entities = [entity];
+  let frontier = [entity];
+  for (let hop = 0; hop < depth && frontier.length > 0 && triples.size < limit; hop++) {
+    const next = [];
+    for (const node of frontier) {
+      const found = [...await fetch({ subject: node }), ...await fetch({ object: node })];
+      for (const t of found.map(normalizeTriple)) {
+        if (triples.size >= limit) break;
+        triples.set(tripleKey(t), t);
+        for (const name of [t.subject, t.object]) {
+          if (visited.has(name.toLowerCase())) continue;
+          visited.add(name.toLowerCase());
+          entities.push(name);
+          next.push(name);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return { triples: [...triples.values()], entities };
+}
+
+function toMermaid(triples) {
+  const ids = new Map();
+  const node = name => {
+    if (!ids.has(name)) ids.set(name, `n${ids.size}`);
+    return ids.get(name);
+  };
+  const escape = s => s.replace(/"/g, '#quot;');
+  const lines = ['graph LR'];
+  for (const t of triples) {
+    const from = node(t.subject);
+    const to = node(t.object);
+    lines.push(`  ${from}["${escape(t.subject)}"] -->|${escape(t.predicate).replace(/\|/g, '#124;')}| ${to}["${escape(t.object)}"]`);
+  }
+  return lines.join('\n');
+}
+
+function toDot(triples) {
+  const quote = s => `"${s.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const lines = ['digraph knowledge {', '  rankdir=LR;'];
+  for (const t of triples) {
+    lines.push(`  ${quote(t.subject)} -> ${quote(t.object)} [label=${quote(t.predicate)}];`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Triples whose subject or object is named in `text` (whole words, any case),
+ * those naming both ends first.
+ */
+function mentionedTriples(triples, text, limit = 5) {
+  const haystack = ` ${String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ')} `;
+  const mentions = name => {
+    const needle = name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    return needle.length > 1 && haystack.includes(` ${needle} `);
+  };
+  return triples
+    .map(normalizeTriple)
+    .map(t => ({ t, hits: mentions(t.subject) + mentions(t.object) }))
+    .filter(({ hits }) => hits > 0)
+    .sort((a, b) => b.hits - a.hits || (b.t.confidence ?? 0) - (a.t.confidence ?? 0))
+    .slice(0, limit)
+    .map(({ t }) => t);
+}
+
+module.exports = { MAX_GRAPH_DEPTH, normalizeTriple, tripleKey, formatTriple, neighborhood, toMermaid, toDot, mentionedTriples };
@@ -0,0 +1,162 @@
+/**
+ * Small JSON HTTP API over the memory tools in lib/tools.js, for agents and
+ * services that don't speak MCP.
+ *
+ *   GET  /tools          → { tools: [{ name, description, inputSchema, annotations }] }
+ *   POST /tools/<name>   body: the tool's arguments → { ok, tool, data, error }
+ *
+ * Failures keep the same body with a status: 400 bad arguments, 401 bad
+ * token, 403 admin-only, 404 unknown tool, 422 refused by redaction, 429
+ * rate limited, 502 backend error; 415 for a body that isn't
+ * `application/json`, which also keeps browsers from posting cross-site
+ * without a preflight.
+ *
+ * Callers are never the operator. Without a token every request runs as the
+ * `anonymous` member; with one, `X-Novyx-User` names the speaker (admin
+ * tools then need an admin ID) and `X-Novyx-Session` the session. Binds to
+ * 127.0.0.1 unless told otherwise, and refuses any other address without a
+ * token.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { listTools } = require('./tools');
+
+const MAX_BODY = 1024 * 1024;
+
+const STATUS = { invalid_arguments: 400, forbidden: 403, unknown_tool: 404, redacted: 422 };
+
+// Who an unauthenticated request (or one without X-Novyx-User) runs as
+const ANONYMOUS = { id: 'anonymous', role: 'member' };
+
+class HttpApi {
+  /**
+   * @param {NovyxMemory} memory
+   * @param {object} [opts]
+   * @param {string} [opts.token]      Require `Authorization: Bearer <token>`
+   * @param {string} [opts.sessionId]  Session when no X-Novyx-Session header is sent (default: http)
+   */
+  constructor(memory, { token = null, sessionId = 'http' } = {}) {
+    this.memory = memory;
+    this.token = token;
+    this.sessionId = sessionId;
+    this.url = null;
+    this._server = null;
+  }
+
+  async start(port = 0, host = '127.0.0.1') {
+    if (!this.token && !isLoopback(host)) {
+      throw new Error(`Refusing to serve on ${host} without a token; set one or bind to 127.0.0.1`);
+    }
+    this._server = http.createServer((req, res) => {
+      this._handle(req, res).catch(error => {
+        this.memory.logger.error(`HTTP API request failed: ${error.message}`, error);
+        send(res, 500, { ok: false, error: { name: 'Error', code: 'internal', message: 'Internal error' } });
+      });
+    });
+    await new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(port, host, resolve);
+    });
+    const address = this._server.address();
+    this.url = `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`;
+    return this.url;
+  }
+
+  async stop() {
+    if (!this._server) return;
+    this._server.closeAllConnections();
+    await new Promise(resolve => this._server.close(resolve));
+    this._server = null;
+  }
+
+  async _handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const fail = (status, code, message) => send(res, status, { ok: false, error: { name: 'ToolError', code, message } });
+
+    if (this.token && !sameToken(req.headers.authorization, `Bearer ${this.token}`)) {
+      return fail(401, 'unauthorized', 'Missing or invalid token');
+    }
+
+    if (pathname === '/tools') {
+      if (req.method !== 'GET') return fail(405, 'method_not_allowed', 'Use GET /tools');
+      return send(res, 200, { tools: listTools() });
+    }
+    const match = pathname.match(/^\/tools\/([\w-]+)$/);
+    if (!match) return fail(404, 'not_found', `No route for ${req.method} ${pathname}`);
+    if (req.method !== 'POST') return fail(405, 'method_not_allowed', `Use POST ${pathname}`);
+    if (!/^application\/json\s*(;|$)/i.test(req.headers['content-type'] || '')) {
+      return fail(415, 'unsupported_media_type', 'Send the arguments as Content-Type: application/json');
+    }
+
+    let args;
+    try {
+      args = await readJson(req);
+    } catch (error) {
+      return fail(400, 'invalid_json', error.message);
+    }
+    // Identity headers are only trusted from a caller that proved it holds the token
+    const trusted = !!this.token;
+    const result = await this.memory.callTool(match[1], args, {
+      sessionId: (trusted && req.headers['x-novyx-session']) || this.sessionId,
+      user: (trusted && req.headers['x-novyx-user']) || ANONYMOUS,
+    });
+    send(res, statusFor(result), result.toJSON(), retryHeaders(result));
+  }
+}
+
+function isLoopback(host) {
+  return host === 'localhost' || host === '::1' || /^(::ffff:)?127(\.\d{1,3}){3}$/.test(host);
+}
+
+// Constant-time (over equal-length digests), so timing doesn't leak how much of the token matched
+function sameToken(given, expected) {
+  const digest = value => crypto.createHash('sha256').update(String(value ?? '')).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+function statusFor(result) {
+  if (result.ok) return 200;
+  const error = result.error;
+  if (STATUS[error.code]) return STATUS[error.code];
+  if (error.code === 'rate_limited') return 429;
+  // The operation itself failed (or only partly succeeded) upstream
+  return 502;
+}
+
+function retryHeaders(result) {
+  const ms = result.error?.retryAfterMs;
+  return ms != null ? { 'Retry-After': String(Math.ceil(ms / 1000)) } : {};
+}
+
+// An empty body is no arguments
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      raw += chunk;
+      if (raw.length > MAX_BODY) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(raw.trim() ? JSON.parse(raw) : {});
+      } catch {
+        reject(new Error('Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, data, headers = {}) {
+  if (res.headersSent) return;
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+module.exports = HttpApi;
+module.exports.isLoopback = isLoopback;
@@ -0,0 +1,69 @@
+/**
+ * Speaker identity for multi-user agents.
+ *
+ * Hooks accept a user as a string ID or { id, role, spaces, timeZone, locale }. Memories a
+ * user causes to be saved are tagged `user:<id>`; memories tagged
+ * `space:<name>` are shared with that space's members. A user recalls their
+ * own memories, their spaces' memories, and memories with neither tag
+ * (saved without an identity, e.g. by an operator).
+ */
+
+// Tags that decide who sees a memory or record where it came from
+const RESERVED_TAG_PREFIXES = ['user:', 'space:', 'session:', 'role:'];
+
+/**
+ * @param {string|object|null} user
+ * @param {object} [policy]
+ * @param {string[]} [policy.admins]  User IDs that are always admins
+ * @param {object} [policy.spaces]    { space: [userId, ...] }; '*' admits everyone
+ * @returns {{ id: string, role: string, spaces: string[], timeZone?: string, locale?: string }|null}
+ */
+function resolveIdentity(user, { admins = [], spaces = {} } = {}) {
+  if (user == null || user === '') return null;
+  const raw = typeof user === 'object' ? user : { id: user };
+  const id = String(raw.id ?? raw.userId ?? '').trim();
+  if (!id) throw new Error('A user identity needs an id');
+  const member = Object.entries(spaces)
+    .filter(([, members]) => members.includes('*') || members.includes(id))
+    .map(([space]) => space);
+  return {
+    id,
+    role: raw.role || (admins.includes(id) ? 'admin' : 'member'),
+    spaces: [...new Set([...(raw.spaces || []), ...member])],
+    ...(raw.timeZone && { timeZone: raw.timeZone }),
+    ...(raw.locale && { locale: raw.locale }),
+  };
+}
+
+function isAdmin(identity) {
+  // No identity means a single-user setup or an operator: nothing to restrict
+  return !identity || identity.role === 'admin';
+}
+
+function ownerTags(identity) {
+  return identity ? [`user:${identity.id}`] : [];
+}
+
+/**
+ * The tags a speaker may attach by hand. Admins (and the operator) may set
+ * any; anyone else loses the reserved ones, except `space:` tags for spaces
+ * they belong to.
+ */
+function allowedTags(identity, tags = []) {
+  if (isAdmin(identity)) return tags;
+  return tags.filter(tag => {
+    const prefix = RESERVED_TAG_PREFIXES.find(p => tag.toLowerCase().startsWith(p));
+    if (!prefix) return true;
+    return prefix === 'space:' && identity.spaces.includes(tag.slice(prefix.length));
+  });
+}
+
+function canSee(identity, memory) {
+  if (!identity) return true;
+  const tags = memory.tags || [];
+  if (tags.includes(`user:${identity.id}`)) return true;
+  if (tags.some(t => t.startsWith('space:') && identity.spaces.includes(t.slice(6)))) return true;
+  return !tags.some(t => t.startsWith('user:') || t.startsWith('space:'));
+}
+
+module.exports = { RESERVED_TAG_PREFIXES, resolveIdentity, isAdmin, ownerTags, allowedTags, canSee };
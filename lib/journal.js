@@ -0,0 +1,112 @@
+/**
+ * Undo/redo journal — a durable record of every mutation made through the
+ * skill, kept per agent and tagged per session so `!undo` survives restarts.
+ *
+ * Entries:
+ *   { seq, type: 'remember' | 'forget', id, observation, tags, sessionId, at,
+ *     batch, undone, undoneSeq }
+ *
+ * `batch` groups entries made by one command (e.g. a confirmed `!forget`).
+ *
+ * `id` always points at the memory's current ID: restoring a forgotten
+ * memory (or redoing a write) creates a new one, and the entry follows it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LIMIT = 1000;
+
+class Journal {
+  /**
+   * @param {object} opts
+   * @param {string} opts.file    Path of the JSON file holding the journal
+   * @param {number} [opts.limit] Oldest entries are discarded beyond this size
+   */
+  constructor(opts) {
+    this.file = path.resolve(opts.file);
+    this.limit = opts.limit || DEFAULT_LIMIT;
+    const state = this._read();
+    this.entries = state.entries;
+    this._seq = state.seq;
+  }
+
+  record({ type, id, observation, tags = [], sessionId, batch = null }) {
+    // A new mutation invalidates anything that could be redone in its session
+    this.entries = this.entries.filter(e => !(e.undone && sameSession(e, sessionId)));
+    const entry = {
+      seq: ++this._seq,
+      type,
+      id,
+      observation,
+      tags: [...tags],
+      sessionId: sessionId ?? null,
+      at: new Date().toISOString(),
+      batch,
+      undone: false,
+      undoneSeq: null,
+    };
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) this.entries.splice(0, this.entries.length - this.limit);
+    this._write();
+    return entry;
+  }
+
+  // Newest first; sessionId == null means every session of this agent
+  undoable(sessionId) {
+    return this.entries
+      .filter(e => !e.undone && matches(e, sessionId))
+      .reverse();
+  }
+
+  // Most recently undone first
+  redoable(sessionId) {
+    return this.entries
+      .filter(e => e.undone && matches(e, sessionId))
+      .sort((a, b) => b.undoneSeq - a.undoneSeq);
+  }
+
+  history(sessionId, limit = 10) {
+    return this.entries.filter(e => matches(e, sessionId)).slice(-limit).reverse();
+  }
+
+  markUndone(entry, id = entry.id) {
+    entry.undone = true;
+    entry.undoneSeq = ++this._seq;
+    entry.id = id;
+    this._write();
+  }
+
+  markRedone(entry, id = entry.id) {
+    entry.undone = false;
+    entry.undoneSeq = null;
+    entry.id = id;
+    this._write();
+  }
+
+  _read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return { seq: 0, entries: [] };
+      throw error;
+    }
+  }
+
+  _write() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ seq: this._seq, entries: this.entries }, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+function matches(entry, sessionId) {
+  return sessionId == null || entry.sessionId === sessionId;
+}
+
+function sameSession(entry, sessionId) {
+  return entry.sessionId === (sessionId ?? null);
+}
+
+module.exports = Journal;
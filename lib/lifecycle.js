@@ -0,0 +1,168 @@
+/**
+ * Memory lifecycle — pins, per-tag retention and importance decay, kept per
+ * agent next to the journal (backends have no way to update a memory).
+ *
+ * State: { pins: { id: { observation, pinnedAt } }, stats: { id: { recalls, lastRecalled } } }
+ *
+ * Importance is 0..1: a base weight from how the memory was saved, boosted
+ * by how often it has been recalled, halving every `halfLife` since it was
+ * last saved or recalled. Pinned memories (or ones tagged `pinned`) are
+ * always 1 and never pruned.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY = 24 * 60 * 60 * 1000;
+const UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: DAY, w: 7 * DAY, y: 365 * DAY };
+
+// Auto-saved assistant turns expire; explicit !remember facts never do
+const DEFAULT_RETENTION = { 'role:assistant': '30d', explicit: 'never' };
+
+// Base importance by how a memory was saved
+const SOURCE_WEIGHTS = { explicit: 1, 'role:user': 0.6, 'role:assistant': 0.3 };
+const DEFAULT_WEIGHT = 0.5;
+
+// '30d', '12h', '2w', '1y', a number of ms, or 'never' (→ Infinity)
+function parseDuration(value) {
+  if (value === 'never' || value === null || value === Infinity) return Infinity;
+  if (typeof value === 'number' && value > 0) return value;
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([mhdwy])$/i);
+  if (!match) throw new Error(`Invalid retention "${value}" (use e.g. "30d", "12h", "2w" or "never")`);
+  return Number(match[1]) * UNITS[match[2].toLowerCase()];
+}
+
+function formatDuration(ms) {
+  if (ms === Infinity) return 'never';
+  for (const [unit, size] of [['y', UNITS.y], ['w', UNITS.w], ['d', DAY], ['h', UNITS.h]]) {
+    if (ms >= size && ms % size === 0) return `${ms / size}${unit}`;
+  }
+  return `${Math.round(ms / UNITS.m)}m`;
+}
+
+class Lifecycle {
+  /**
+   * @param {object} opts
+   * @param {string} opts.file              Where pins and recall stats are stored
+   * @param {object} [opts.retention]       { tag: '30d' | 'never' }; the longest matching policy applies
+   * @param {number} [opts.halfLife]        Importance halves after this long unused (ms)
+   * @param {number} [opts.minImportance]   Prune unprotected memories below this (0 = off)
+   */
+  constructor({ file, retention = DEFAULT_RETENTION, halfLife = 30 * DAY, minImportance = 0 }) {
+    this.file = path.resolve(file);
+    this.retention = Object.fromEntries(Object.entries(retention).map(([tag, ttl]) => [tag, parseDuration(ttl)]));
+    this.halfLife = halfLife;
+    this.minImportance = minImportance;
+    const state = this._read();
+    this.pins = state.pins || {};
+    this.stats = state.stats || {};
+  }
+
+  isPinned(memory) {
+    return Boolean(this.pins[memory.uuid || memory.id]) || (memory.tags || []).includes('pinned');
+  }
+
+  pin(memory) {
+    const id = memory.uuid || memory.id;
+    this.pins[id] = { observation: memory.observation, pinnedAt: new Date().toISOString() };
+    this._write();
+  }
+
+  unpin(id) {
+    if (!this.pins[id]) return false;
+    delete this.pins[id];
+    this._write();
+    return true;
+  }
+
+  // Newest first: [{ id, observation, pinnedAt }]
+  listPins() {
+    return Object.entries(this.pins)
+      .map(([id, pin]) => ({ id, ...pin }))
+      .sort((a, b) => b.pinnedAt.localeCompare(a.pinnedAt));
+  }
+
+  // Record that memories were recalled into a conversation
+  touch(memories) {
+    const at = new Date().toISOString();
+    let changed = false;
+    for (const m of memories) {
+      const id = m.uuid || m.id;
+      if (!id) continue;
+      const stat = this.stats[id] || { recalls: 0, lastRecalled: null };
+      this.stats[id] = { recalls: stat.recalls + 1, lastRecalled: at };
+      changed = true;
+    }
+    if (changed) this._write();
+  }
+
+  // Drop state for memories that no longer exist
+  remove(ids) {
+    for (const id of ids) {
+      delete this.pins[id];
+      delete this.stats[id];
+    }
+    this._write();
+  }
+
+  importance(memory, now = Date.now()) {
+    if (this.isPinned(memory)) return 1;
+    const tags = memory.tags || [];
+    const base = Math.max(...tags.map(t => SOURCE_WEIGHTS[t] ?? 0), 0) || DEFAULT_WEIGHT;
+    const recalls = this.stats[memory.uuid || memory.id]?.recalls || 0;
+    const boosted = Math.min(1, base * (1 + 0.25 * Math.log2(1 + recalls)));
+    const lastUsed = this._lastUsed(memory);
+    if (lastUsed == null) return boosted;
+    return boosted * Math.pow(0.5, Math.max(0, now - lastUsed) / this.halfLife);
+  }
+
+  /**
+   * { expired, reason, importance } for one memory. Memories are protected
+   * by a pin or a 'never' policy; otherwise they expire when unused for
+   * longer than their longest matching policy, or fall below minImportance.
+   */
+  evaluate(memory, now = Date.now()) {
+    const importance = this.importance(memory, now);
+    if (this.isPinned(memory)) return { expired: false, reason: 'pinned', importance };
+    const policies = (memory.tags || []).filter(t => t in this.retention);
+    const ttl = policies.length > 0 ? Math.max(...policies.map(t => this.retention[t])) : null;
+    if (ttl === Infinity) return { expired: false, reason: 'kept forever', importance };
+    const lastUsed = this._lastUsed(memory);
+    if (ttl != null && lastUsed != null && now - lastUsed > ttl) {
+      const tag = policies.find(t => this.retention[t] === ttl);
+      return { expired: true, reason: `${tag} unused for over ${formatDuration(ttl)}`, importance };
+    }
+    if (this.minImportance > 0 && importance < this.minImportance) {
+      return { expired: true, reason: `importance ${Math.round(importance * 100)}%`, importance };
+    }
+    return { expired: false, reason: null, importance };
+  }
+
+  _lastUsed(memory) {
+    const created = memory.created_at ? new Date(memory.created_at).getTime() : null;
+    const recalled = this.stats[memory.uuid || memory.id]?.lastRecalled;
+    const times = [created, recalled && new Date(recalled).getTime()].filter(t => t != null && !isNaN(t));
+    return times.length > 0 ? Math.max(...times) : null;
+  }
+
+  _read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  _write() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ pins: this.pins, stats: this.stats }, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+module.exports = Lifecycle;
+module.exports.DEFAULT_RETENTION = DEFAULT_RETENTION;
+module.exports.parseDuration = parseDuration;
+module.exports.formatDuration = formatDuration;
@@ -0,0 +1,32 @@
+/**
+ * Leveled logger. Wraps console (the default) or any object with
+ * debug/info/warn/error methods, e.g. pino, winston or a host app's logger.
+ *
+ * Console output is prefixed with `[NovyxMemory]`; custom loggers get the
+ * bare message plus a meta object (a NovyxError for failures).
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+/**
+ * @param {object|false} [logger] console by default; false silences everything
+ * @param {string} [level]        Minimum level: debug | info | warn | error | silent
+ */
+function createLogger(logger = console, level = 'info') {
+  if (!(level in LEVELS)) throw new Error(`Unknown log level "${level}" (use ${Object.keys(LEVELS).join(', ')})`);
+  const threshold = LEVELS[level];
+  const out = { level };
+  for (const name of ['debug', 'info', 'warn', 'error']) {
+    out[name] = (message, meta) => {
+      if (!logger || LEVELS[name] < threshold) return;
+      const write = logger[name] || logger.log;
+      if (typeof write !== 'function') return;
+      if (logger === console) write.call(logger, `[NovyxMemory] ${message}`);
+      else write.call(logger, message, meta);
+    };
+  }
+  return out;
+}
+
+module.exports = createLogger;
+module.exports.LEVELS = LEVELS;
@@ -0,0 +1,132 @@
+/**
+ * Model Context Protocol server over stdio: newline-delimited JSON-RPC 2.0
+ * exposing the memory tools in lib/tools.js, so any MCP client (desktop
+ * assistants, IDE agents, other frameworks) can share an agent's memory.
+ *
+ *   novyx-memory mcp --agent support-bot
+ *
+ * Tool results carry the structured data as `structuredContent` and as JSON
+ * text; a failed operation is a result with `isError: true`, not a
+ * protocol error. Logs must not go to stdout — the CLI sends them to stderr.
+ */
+
+const readline = require('readline');
+const { listTools } = require('./tools');
+
+// Newest first; a client asking for another version gets the newest
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+class McpServer {
+  /**
+   * @param {NovyxMemory} memory
+   * @param {object} [opts]
+   * @param {string} [opts.sessionId]  Session for undo history (default: mcp)
+   * @param {string|object} [opts.user] Identity tool calls run as (default: none, i.e. operator)
+   */
+  constructor(memory, { sessionId = 'mcp', user = null } = {}) {
+    this.memory = memory;
+    this.sessionId = sessionId;
+    this.user = user;
+    this.client = null; // clientInfo from initialize
+  }
+
+  /**
+   * Handle one parsed JSON-RPC message. Resolves to the response, or null
+   * for notifications.
+   */
+  async handle(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message) || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      return errorResponse(message?.id ?? null, INVALID_REQUEST, 'Invalid request');
+    }
+    const { id, method, params = {} } = message;
+    const notification = id === undefined;
+    try {
+      const result = await this._dispatch(method, params);
+      return notification ? null : { jsonrpc: '2.0', id, result };
+    } catch (error) {
+      if (notification) return null;
+      return errorResponse(id, error.rpcCode || INTERNAL_ERROR, error.message);
+    }
+  }
+
+  /**
+   * Serve requests from `input` until it ends, one response line per
+   * request. Requests are handled in order.
+   */
+  async listen({ input = process.stdin, output = process.stdout } = {}) {
+    const rl = readline.createInterface({ input, terminal: false });
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        output.write(`${JSON.stringify(errorResponse(null, PARSE_ERROR, 'Parse error'))}\n`);
+        continue;
+      }
+      const response = await this.handle(message);
+      if (response) output.write(`${JSON.stringify(response)}\n`);
+    }
+    rl.close();
+  }
+
+  async _dispatch(method, params) {
+    switch (method) {
+      case 'initialize': {
+        this.client = params.clientInfo || null;
+        // Loaded here: index.js exports this class
+        const NovyxMemory = require('../index');
+        return {
+          protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSIONS[0],
+          capabilities: { tools: { listChanged: false } },
+          serverInfo: { name: 'novyx-memory', version: NovyxMemory.VERSION },
+          instructions: 'Long-term memory for this agent. recall before answering questions about past conversations; ' +
+                        'remember durable facts. forget and rollback preview unless confirm is true.',
+        };
+      }
+      case 'notifications/initialized':
+      case 'notifications/cancelled':
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools: listTools() };
+      case 'tools/call':
+        return this._callTool(params);
+      default:
+        throw rpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  async _callTool({ name, arguments: args = {} } = {}) {
+    if (typeof name !== 'string') throw rpcError(INVALID_PARAMS, 'tools/call needs a tool name');
+    const result = await this.memory.callTool(name, args, { sessionId: this.sessionId, user: this.user });
+    if (result.error?.code === 'unknown_tool') throw rpcError(INVALID_PARAMS, result.error.message);
+    if (!result.ok && result.data == null) {
+      const error = result.toJSON().error;
+      return { content: [{ type: 'text', text: error.message }], structuredContent: { error }, isError: true };
+    }
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result.data, null, 2) }],
+      structuredContent: result.data,
+      isError: !result.ok,
+    };
+  }
+}
+
+function rpcError(code, message) {
+  return Object.assign(new Error(message), { rpcCode: code });
+}
+
+function errorResponse(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+module.exports = McpServer;
+module.exports.PROTOCOL_VERSIONS = PROTOCOL_VERSIONS;
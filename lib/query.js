@@ -0,0 +1,104 @@
+/**
+ * Inline query syntax for !search and recall():
+ *
+ *   postgres tag:explicit role:user session:current since:2d until:1h limit:20
+ *
+ * `role:` and `session:` are shorthand for the `role:<x>` / `session:<id>`
+ * tags that auto-saved memories carry; `session:current` is the caller's
+ * session. All tag filters must match. Unknown `key:value` tokens stay in
+ * the search text.
+ */
+
+const FILTER = /^(tag|role|session|since|until|limit):(.+)$/i;
+
+// since:/until: values may run on for a few words ("since:yesterday 5pm")
+const MAX_TIME_WORDS = 3;
+
+/**
+ * @param {string} input
+ * @param {object} [opts]
+ * @param {string} [opts.sessionId]     Resolves `session:current`
+ * @param {Function} [opts.parseTime]   (string) => ISO string | null
+ * @returns {{ text: string, filters: { tags: string[], since: string|null, until: string|null, limit: number|null }, errors: string[] }}
+ */
+function parseQuery(input, opts = {}) {
+  const filters = { tags: [], since: null, until: null, limit: null };
+  const errors = [];
+  const text = [];
+
+  const tokens = String(input || '').trim().split(/\s+/).filter(Boolean);
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const match = token.match(FILTER);
+    if (!match) {
+      text.push(token);
+      continue;
+    }
+    const key = match[1].toLowerCase();
+    const value = match[2];
+    if (key === 'tag') {
+      filters.tags.push(value);
+    } else if (key === 'role') {
+      filters.tags.push(`role:${value}`);
+    } else if (key === 'session') {
+      const id = value === 'current' ? opts.sessionId : value;
+      if (id == null) errors.push('session:current needs a session');
+      else filters.tags.push(`session:${id}`);
+    } else if (key === 'limit') {
+      const n = parseInt(value, 10);
+      if (isNaN(n) || n < 1) errors.push(`Invalid limit "${value}"`);
+      else filters.limit = n;
+    } else {
+      // The longest run of words that reads as a time wins
+      let time = null;
+      let used = 0;
+      for (let n = 0; n <= MAX_TIME_WORDS && i + n < tokens.length && opts.parseTime; n++) {
+        if (n > 0 && FILTER.test(tokens[i + n])) break;
+        const parsed = opts.parseTime([value, ...tokens.slice(i + 1, i + 1 + n)].join(' '));
+        if (parsed) {
+          time = parsed;
+          used = n;
+        }
+      }
+      if (!time) errors.push(`Could not parse ${key}:${value}`);
+      else filters[key] = time;
+      i += used;
+    }
+  }
+
+  return { text: text.join(' '), filters, errors };
+}
+
+// Client-side version of the filters, for backends that can't apply them
+function matchesFilters(memory, filters = {}) {
+  const tags = memory.tags || [];
+  if ((filters.tags || []).some(t => !tags.includes(t))) return false;
+  const created = memory.created_at ? new Date(memory.created_at).getTime() : null;
+  if (filters.since && created != null && created < new Date(filters.since).getTime()) return false;
+  if (filters.until && created != null && created > new Date(filters.until).getTime()) return false;
+  return true;
+}
+
+/**
+ * Pull `#tags` out of a !remember text. Trailing tags are removed; inline ones
+ * keep their word ("We use #postgres" → "We use postgres").
+ */
+function extractHashtags(input) {
+  const pattern = /(^|\s)#([A-Za-z][\w:-]*)/g;
+  const tags = [...String(input || '').matchAll(pattern)].map(m => m[2]);
+  const text = String(input || '')
+    .replace(/(\s+#[A-Za-z][\w:-]*)+\s*$/, '')
+    .replace(pattern, (match, lead, tag) => `${lead}${tag}`);
+  return { text: text.trim(), tags: [...new Set(tags)] };
+}
+
+// Whitespace-separated arguments; "double" or 'single' quotes group words
+function splitArgs(input) {
+  const args = [];
+  for (const m of String(input || '').matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)) {
+    args.push(m[1] ?? m[2] ?? m[3]);
+  }
+  return args;
+}
+
+module.exports = { parseQuery, matchesFilters, extractHashtags, splitArgs };
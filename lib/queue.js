@@ -0,0 +1,172 @@
+/**
+ * Durable write queue — failed writes and deletes are persisted to disk and
+ * replayed with exponential backoff once the backend is reachable again.
+ *
+ * Items are replayed strictly in order (a delete never overtakes the create
+ * it depends on) and deduplicated by operation + arguments.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const createLogger = require('./logger');
+
+const BASE_DELAY = 1000;
+const MAX_DELAY = 5 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 20;
+
+// Transient failures worth retrying: rate limits, server errors, timeouts, network
+function isRetryable(error) {
+  if (!error) return false;
+  if (error.response) {
+    const status = error.response.status;
+    return status === 429 || status === 408 || status >= 500;
+  }
+  return error.code === 'ECONNABORTED' || !!error.request;
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function retryAfterMs(error) {
+  const headers = error?.response?.headers || {};
+  const value = headers['retry-after'] ?? headers['Retry-After'];
+  if (value == null) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = new Date(value).getTime();
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffMs(attempts) {
+  const delay = Math.min(MAX_DELAY, BASE_DELAY * 2 ** Math.max(0, attempts - 1));
+  // +/- 20% jitter so many agents don't retry in lockstep
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+class WriteQueue {
+  /**
+   * @param {object} opts
+   * @param {string} opts.file          Path of the JSON file holding the queue
+   * @param {Function} opts.execute     async (item) => result; throws on failure
+   * @param {number} [opts.maxAttempts] Give up on an item after this many tries
+   * @param {object} [opts.logger]      A createLogger() logger
+   * @param {Function} [opts.onDrop]    (item, error) => void when an item is given up on
+   */
+  constructor(opts) {
+    this.file = path.resolve(opts.file);
+    this.execute = opts.execute;
+    this.maxAttempts = opts.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.logger = opts.logger || createLogger();
+    this.onDrop = opts.onDrop || null;
+    this.items = this._read();
+    this._timer = null;
+    this._flushing = null;
+  }
+
+  get depth() {
+    return this.items.length;
+  }
+
+  get nextAttemptAt() {
+    return this.items.length > 0 ? this.items[0].nextAttemptAt : null;
+  }
+
+  // `meta` travels with the item for the executor (e.g. the session a write belongs to)
+  enqueue(op, args, error, meta = null) {
+    const key = crypto.createHash('sha256').update(JSON.stringify([op, args])).digest('hex');
+    if (this.items.some(item => item.key === key)) return false;
+
+    const delay = retryAfterMs(error) ?? backoffMs(1);
+    this.items.push({
+      key,
+      op,
+      args,
+      meta,
+      attempts: 1,
+      enqueuedAt: new Date().toISOString(),
+      nextAttemptAt: Date.now() + delay,
+      lastError: describe(error),
+    });
+    this._write();
+    this.schedule();
+    return true;
+  }
+
+  // Replay due items in order (all items with force); stops at the first one that fails again
+  async flush({ force = false } = {}) {
+    if (this._flushing) return this._flushing;
+    this._flushing = (async () => {
+      let replayed = 0;
+      while (this.items.length > 0 && (force || this.items[0].nextAttemptAt <= Date.now())) {
+        const item = this.items[0];
+        try {
+          await this.execute(item);
+          this.items.shift();
+          replayed++;
+        } catch (error) {
+          item.attempts++;
+          item.lastError = describe(error);
+          if (!isRetryable(error) || item.attempts >= this.maxAttempts) {
+            this.items.shift();
+            this.logger.warn(`Dropping queued ${item.op} after ${item.attempts} attempts: ${item.lastError}`);
+            if (this.onDrop) this.onDrop(item, error);
+          } else {
+            item.nextAttemptAt = Date.now() + (retryAfterMs(error) ?? backoffMs(item.attempts));
+            break;
+          }
+        } finally {
+          this._write();
+        }
+      }
+      return replayed;
+    })();
+    try {
+      return await this._flushing;
+    } finally {
+      this._flushing = null;
+      this.schedule();
+    }
+  }
+
+  schedule() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this.items.length === 0) return;
+    const delay = Math.max(0, this.items[0].nextAttemptAt - Date.now());
+    this._timer = setTimeout(() => this.flush().catch(() => {}), delay);
+    // Never keep the host process alive just to retry
+    if (this._timer.unref) this._timer.unref();
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  _read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  _write() {
+    if (this.items.length === 0 && !fs.existsSync(this.file)) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.items, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+function describe(error) {
+  if (!error) return null;
+  if (error.response) return `HTTP ${error.response.status}`;
+  return error.code || error.message || String(error);
+}
+
+module.exports = WriteQueue;
+module.exports.isRetryable = isRetryable;
+module.exports.retryAfterMs = retryAfterMs;
+module.exports.backoffMs = backoffMs;
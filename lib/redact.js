@@ -0,0 +1,143 @@
+/**
+ * Redaction stage in front of every write — detects secrets and PII and
+ * masks them, replaces them with a hash, or drops the memory entirely.
+ *
+ * Rules: { name, pattern, action: 'mask' | 'hash' | 'drop', validate? }
+ * If the pattern has a named group `value`, only that group is redacted
+ * (so "password: hunter2" keeps its label).
+ *
+ * Every redaction is appended to a local JSONL log. The log records the rule,
+ * action and a hash of the match — never the match itself.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ACTIONS = new Set(['mask', 'hash', 'drop', 'off']);
+
+function luhn(digits) {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let d = Number(digits[i]);
+    if (double) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+const BUILTIN_RULES = [
+  { name: 'private_key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(-----END [A-Z ]*PRIVATE KEY-----|$)/g, action: 'drop' },
+  { name: 'novyx_key', pattern: /\bnram_[A-Za-z0-9_-]{8,}/g, action: 'mask' },
+  { name: 'aws_access_key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, action: 'mask' },
+  { name: 'aws_secret_key', pattern: /\baws_secret_access_key\s*[:=]\s*["']?(?<value>[A-Za-z0-9/+=]{40})/gi, action: 'mask' },
+  { name: 'github_token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g, action: 'mask' },
+  { name: 'credential', pattern: /\b(?:password|passwd|pwd|secret|api[_-]?key|access[_-]?token|auth[_-]?token)\s*[:=]\s*["']?(?<value>[^\s"',;]{4,})/gi, action: 'mask' },
+  { name: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g, action: 'mask' },
+  {
+    name: 'card_number',
+    pattern: /\b(?:4\d{3}|5[1-5]\d{2}|2[2-7]\d{2}|3[47]\d{2}|6(?:011|5\d{2}))(?:[ -]?\d){9,15}\b/g,
+    action: 'mask',
+    validate: match => {
+      const digits = match.replace(/\D/g, '');
+      return digits.length >= 13 && digits.length <= 19 && luhn(digits);
+    },
+  },
+  // Formatted numbers only, so bare IDs and timestamps aren't caught
+  { name: 'phone', pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4}\b|(?<![\w+])\+\d{10,14}\b/g, action: 'mask' },
+];
+
+class Redactor {
+  /**
+   * @param {object} opts
+   * @param {object[]} [opts.rules]   Extra rules, checked after the built-ins
+   * @param {object} [opts.actions]   Per-rule action overrides, e.g. { email: 'hash', phone: 'off' }
+   * @param {string} [opts.logPath]   JSONL file recording every redaction
+   * @param {string} [opts.salt]      Mixed into `hash` replacements and log hashes
+   * @param {string} [opts.saltPath]  Without `salt`, a random salt is kept here
+   *   (created on first use); without either it lasts for this process only
+   */
+  constructor(opts = {}) {
+    const overrides = opts.actions || {};
+    this.rules = [...BUILTIN_RULES, ...(opts.rules || [])]
+      .map(rule => ({ ...rule, action: overrides[rule.name] || rule.action || 'mask' }))
+      .filter(rule => rule.action !== 'off');
+    for (const rule of this.rules) {
+      if (!rule.name || !(rule.pattern instanceof RegExp)) {
+        throw new Error('Redaction rules need a name and a RegExp pattern');
+      }
+      if (!ACTIONS.has(rule.action)) {
+        throw new Error(`Unknown redaction action "${rule.action}" for rule "${rule.name}". Use mask, hash, drop or off.`);
+      }
+    }
+    this.logPath = opts.logPath ? path.resolve(opts.logPath) : null;
+    this.salt = opts.salt || null;
+    this.saltPath = opts.saltPath ? path.resolve(opts.saltPath) : null;
+  }
+
+  /**
+   * @returns {{ text: string|null, findings: object[] }} text is null when a
+   *   `drop` rule matched — the memory must not be saved at all
+   */
+  apply(text) {
+    let result = String(text);
+    const findings = [];
+    for (const rule of this.rules) {
+      const pattern = new RegExp(rule.pattern.source, rule.pattern.flags.includes('g') ? rule.pattern.flags : rule.pattern.flags + 'g');
+      result = result.replace(pattern, (...args) => {
+        const match = args[0];
+        const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : null;
+        const secret = groups?.value ?? match;
+        if (rule.validate && !rule.validate(secret)) return match;
+        findings.push({ rule: rule.name, action: rule.action, hash: this._hash(secret) });
+        const replacement = rule.action === 'hash'
+          ? `[HASH:${rule.name}:${this._hash(secret)}]`
+          : `[REDACTED:${rule.name}]`;
+        return groups?.value != null ? match.replace(secret, replacement) : replacement;
+      });
+    }
+    const dropped = findings.some(f => f.action === 'drop');
+    return { text: dropped ? null : result, findings };
+  }
+
+  log(findings, meta = {}) {
+    if (!this.logPath || findings.length === 0) return;
+    const at = new Date().toISOString();
+    const lines = findings.map(f => JSON.stringify({ at, ...meta, ...f })).join('\n') + '\n';
+    fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+    fs.appendFileSync(this.logPath, lines);
+  }
+
+  _hash(value) {
+    return crypto.createHash('sha256').update(this._salt() + value).digest('hex').slice(0, 12);
+  }
+
+  // An unsalted hash of a short secret (a phone number, a PIN) is easy to brute-force
+  _salt() {
+    if (this.salt) return this.salt;
+    if (this.saltPath) {
+      try {
+        this.salt = fs.readFileSync(this.saltPath, 'utf8').trim();
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    if (!this.salt) {
+      this.salt = crypto.randomBytes(32).toString('hex');
+      if (this.saltPath) {
+        fs.mkdirSync(path.dirname(this.saltPath), { recursive: true });
+        fs.writeFileSync(this.saltPath, `${this.salt}\n`, { mode: 0o600 });
+      }
+    }
+    return this.salt;
+  }
+}
+
+module.exports = Redactor;
+module.exports.BUILTIN_RULES = BUILTIN_RULES;
+module.exports.luhn = luhn;
@@ -0,0 +1,91 @@
+/**
+ * Quota-aware throttle for auto-capture, driven by usage().
+ *
+ *   full     below softLimit of every quota — capture as configured
+ *   reduced  a quota is past softLimit — user turns only, one fact each
+ *   paused   a quota is past hardLimit, or the API is rate limiting us
+ *
+ * Explicit writes (`!remember`, remember()) are never throttled.
+ */
+
+const DEFAULT_REFRESH = 5 * 60 * 1000;
+const QUOTAS = ['api_calls', 'memories'];
+
+class UsageThrottle {
+  /**
+   * @param {object} opts
+   * @param {Function} opts.fetchUsage       async () => usage() result or null
+   * @param {number} [opts.softLimit]        Fraction of a quota where capture is reduced
+   * @param {number} [opts.hardLimit]        Fraction of a quota where capture pauses
+   * @param {number} [opts.refreshInterval]  Milliseconds between usage() refreshes
+   */
+  constructor({ fetchUsage, softLimit = 0.8, hardLimit = 0.95, refreshInterval = DEFAULT_REFRESH }) {
+    this.fetchUsage = fetchUsage;
+    this.softLimit = softLimit;
+    this.hardLimit = hardLimit;
+    this.refreshInterval = refreshInterval;
+    this.usage = null;
+    this._fetchedAt = 0;
+    this._refreshing = null;
+    this._pausedUntil = 0;
+    this._pauseReason = null;
+  }
+
+  // Current { mode, reason }, refreshing usage first if it's stale
+  async check() {
+    if (Date.now() - this._fetchedAt >= this.refreshInterval) {
+      this._refreshing = this._refreshing || (async () => {
+        try {
+          const usage = await this.fetchUsage();
+          if (usage) this.update(usage);
+          else this._fetchedAt = Date.now();
+        } finally {
+          this._refreshing = null;
+        }
+      })();
+      await this._refreshing;
+    }
+    return this.state();
+  }
+
+  // Feed a usage() result fetched elsewhere (e.g. by !status)
+  update(usage) {
+    this.usage = usage;
+    this._fetchedAt = Date.now();
+  }
+
+  pause(ms, reason) {
+    this._pausedUntil = Math.max(this._pausedUntil, Date.now() + ms);
+    this._pauseReason = reason;
+  }
+
+  state() {
+    if (this._pausedUntil > Date.now()) {
+      const wait = Math.ceil((this._pausedUntil - Date.now()) / 1000);
+      return { mode: 'paused', reason: `${this._pauseReason}, resumes in ${wait}s` };
+    }
+    const worst = this.pressure();
+    if (!worst) return { mode: 'full', reason: null };
+    const reason = `${worst.quota.replace('_', ' ')} at ${Math.round(worst.ratio * 100)}%`;
+    if (worst.ratio >= this.hardLimit) return { mode: 'paused', reason };
+    if (worst.ratio >= this.softLimit) return { mode: 'reduced', reason };
+    return { mode: 'full', reason: null };
+  }
+
+  // The quota closest to its limit, or null if none are limited
+  pressure() {
+    let worst = null;
+    for (const quota of QUOTAS) {
+      const q = this.usage?.[quota];
+      if (!q) continue;
+      const used = q.current ?? q.used ?? 0;
+      const limit = q.limit ?? 0;
+      if (q.unlimited || limit <= 0) continue;
+      const ratio = used / limit;
+      if (!worst || ratio > worst.ratio) worst = { quota, ratio };
+    }
+    return worst;
+  }
+}
+
+module.exports = UsageThrottle;
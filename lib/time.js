@@ -0,0 +1,280 @@
+/**
+ * Time expressions — what users type after `!rollback`, `since:` and
+ * `until:` — resolved to absolute instants in a time zone.
+ *
+ *   parseTime('2h30m')                 // 2½ hours before now
+ *   parseTime('1 week ago') / parseTime('90s') / parseTime('last month')
+ *   parseTime('yesterday 5pm', { timeZone: 'America/New_York' })
+ *   parseTime('last monday')           // most recent Monday before today, 00:00
+ *   parseTime('03/04/2026', { locale: 'en-GB' })   // 3 April
+ *   parseTime('2026-03-04 14:00')      // wall-clock time in timeZone
+ *
+ * Expressions face the past: weekdays and dates without a year mean the
+ * most recent one. Dates and times without an offset are read in
+ * `timeZone`, and numeric dates follow `locale`'s day/month order.
+ * Anything else is rejected rather than guessed at, since a misread
+ * rollback target rewinds to the wrong moment.
+ */
+
+const SECOND = 1000;
+// The furthest a Date can be from the epoch either way
+const MAX_TIME = 8.64e15;
+const UNIT_MS = { s: SECOND, m: 60 * SECOND, h: 60 * 60 * SECOND, d: 24 * 60 * 60 * SECOND, w: 7 * 24 * 60 * 60 * SECOND };
+
+const UNITS = {
+  s: 's', sec: 's', secs: 's', second: 's', seconds: 's',
+  m: 'm', min: 'm', mins: 'm', minute: 'm', minutes: 'm',
+  h: 'h', hr: 'h', hrs: 'h', hour: 'h', hours: 'h',
+  d: 'd', day: 'd', days: 'd',
+  w: 'w', wk: 'w', wks: 'w', week: 'w', weeks: 'w',
+  mo: 'mo', mos: 'mo', month: 'mo', months: 'mo',
+  y: 'y', yr: 'y', yrs: 'y', year: 'y', years: 'y',
+};
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAY_NAMES = {
+  sun: 0, sunday: 0, mon: 1, monday: 1, tue: 2, tues: 2, tuesday: 2, wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4, fri: 5, friday: 5, sat: 6, saturday: 6,
+};
+const MONTH_NAMES = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4, may: 5, jun: 6, june: 6,
+  jul: 7, july: 7, aug: 8, august: 8, sep: 9, sept: 9, september: 9, oct: 10, october: 10, nov: 11, november: 11,
+  dec: 12, december: 12,
+};
+
+const TIME = String.raw`(noon|midnight|\d{1,2}(?::\d{2}){1,2}\s*(?:am|pm)?|\d{1,2}\s*(?:am|pm))`;
+const TIME_SUFFIX = new RegExp(String.raw`(?:^|,?\s+(?:at\s+)?|\s*@\s*)${TIME}$`);
+const ISO_WITH_OFFSET = /^\d{4}-\d{2}-\d{2}t\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:z|[+-]\d{2}:?\d{2})$/;
+const ISO_LOCAL = /^(\d{4})-(\d{2})-(\d{2})(?:t(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+function defaultTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+function defaultLocale() {
+  return Intl.DateTimeFormat().resolvedOptions().locale || 'en-US';
+}
+
+// Throws on a time zone or locale Intl doesn't know
+function checkTimeOptions({ timeZone, locale } = {}) {
+  try {
+    new Intl.DateTimeFormat(locale, { timeZone });
+  } catch (error) {
+    throw new Error(`Invalid ${timeZone && /time zone/i.test(error.message) ? `timeZone "${timeZone}"` : `locale "${locale}"`}: ${error.message}`);
+  }
+}
+
+/**
+ * @param {string} input
+ * @param {object} [opts]
+ * @param {number} [opts.now]       Reference instant (ms; default Date.now())
+ * @param {string} [opts.timeZone]  IANA zone for wall-clock times (default: the system's)
+ * @param {string} [opts.locale]    Decides 03/04 = March 4 or 3 April (default: the system's)
+ * @returns {Date|null}
+ */
+function parseTime(input, { now = Date.now(), timeZone = defaultTimeZone(), locale = defaultLocale() } = {}) {
+  const text = String(input ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!text) return null;
+  if (text === 'now') return new Date(now);
+  if (ISO_WITH_OFFSET.test(text) || ISO_WITH_OFFSET.test(text.replace(' ', 't'))) return valid(new Date(text.toUpperCase().replace(' ', 'T')));
+
+  const ago = parseDuration(text, now, timeZone);
+  if (ago) return ago;
+
+  // A date-ish part, optionally followed by a time of day
+  const iso = text.replace(/^(\d{4}-\d{2}-\d{2})[t ](\d)/, '$1t$2').match(ISO_LOCAL);
+  if (iso) {
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = iso.map(v => (v === undefined ? undefined : Number(v)));
+    return toInstant({ year, month, day, hour, minute, second }, timeZone);
+  }
+  const suffix = text.match(TIME_SUFFIX);
+  const time = suffix ? parseClock(suffix[1]) : { hour: 0, minute: 0, second: 0 };
+  if (!time) return null;
+  const dayText = suffix ? text.slice(0, suffix.index).trim() : text;
+  const today = wallClock(new Date(now), timeZone);
+  const day = dayText === '' ? (suffix ? today : null) : parseDay(dayText, today, locale);
+  if (!day) return null;
+  return toInstant({ ...day, ...time }, timeZone);
+}
+
+/**
+ * "Mon, Oct 19, 2026, 4:00 PM PDT" — how commands echo resolved times.
+ * @param {Date|string|number} value
+ */
+function formatTime(value, { timeZone = defaultTimeZone(), locale = defaultLocale() } = {}) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return String(value);
+  return new Intl.DateTimeFormat(locale, {
+    timeZone, weekday: 'short', year: 'numeric', month: 'short', day: 'numeric',
+    hour: 'numeric', minute: '2-digit', timeZoneName: 'short',
+  }).format(date);
+}
+
+// ---- Expressions ----
+
+// "90s", "2h30m", "1 week ago", "an hour ago", "3 days, 4 hours", "last month"
+function parseDuration(text, now, timeZone) {
+  const last = text.match(/^last (week|month|year)$/);
+  const body = last ? `1 ${last[1]}` : text.replace(/\s*ago$/, '');
+  const amounts = {};
+  const token = /\s*(\d+(?:\.\d+)?|an?|one)\s*([a-z]+)\s*(?:,|and\b)?/y;
+  let matched = false;
+  let match;
+  while (token.lastIndex < body.length && (match = token.exec(body))) {
+    const unit = UNITS[match[2]];
+    if (!unit) return null;
+    const amount = /^\d/.test(match[1]) ? Number(match[1]) : 1;
+    amounts[unit] = (amounts[unit] || 0) + amount;
+    matched = true;
+  }
+  if (!matched || token.lastIndex < body.length) return null;
+
+  // Months and years move the calendar (Mar 31 - 1 month = Feb 28/29); the rest are fixed lengths
+  const months = (amounts.mo || 0) + 12 * (amounts.y || 0);
+  if (!Number.isInteger(months)) return null;
+  let at = now;
+  if (months) {
+    const wall = wallClock(new Date(now), timeZone);
+    const shifted = new Date(Date.UTC(wall.year, wall.month - 1 - months, 1));
+    const year = shifted.getUTCFullYear();
+    const month = shifted.getUTCMonth() + 1;
+    at = toInstant({ ...wall, year, month, day: Math.min(wall.day, daysIn(year, month)) }, timeZone)?.getTime();
+  }
+  const fixed = Object.entries(UNIT_MS).reduce((sum, [unit, ms]) => sum + (amounts[unit] || 0) * ms, 0);
+  return at == null || !inRange(at - fixed) ? null : new Date(at - fixed);
+}
+
+// "5pm", "5:30 pm", "17:30", "17:30:15", "noon", "midnight"
+function parseClock(text) {
+  if (text === 'noon') return { hour: 12, minute: 0, second: 0 };
+  if (text === 'midnight') return { hour: 0, minute: 0, second: 0 };
+  const match = text.match(/^(\d{1,2})(?::(\d{2}))?(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+  let hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  const second = Number(match[3] || 0);
+  if (minute > 59 || second > 59) return null;
+  if (match[4]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (match[4] === 'pm' ? 12 : 0);
+  } else if (hour > 23) {
+    return null;
+  }
+  return { hour, minute, second };
+}
+
+// A calendar day as { year, month, day }, relative to `today` (wall clock in the zone)
+function parseDay(text, today, locale) {
+  if (text === 'today') return pick(today);
+  if (text === 'yesterday') return addDays(today, -1);
+  if (text === 'tomorrow') return addDays(today, 1);
+
+  const weekday = text.match(/^(?:last )?([a-z]+)$/);
+  const index = weekday ? WEEKDAY_NAMES[weekday[1]] : undefined;
+  if (index !== undefined) {
+    // Most recent such day before today ("monday" on a Monday is a week ago)
+    const back = ((today.weekday - index + 7) % 7) || 7;
+    return addDays(today, -back);
+  }
+
+  let parts = null;
+  const numeric = text.match(/^(\d{1,4})[/.-](\d{1,2})(?:[/.-](\d{2}|\d{4}))?$/);
+  if (numeric) {
+    const [a, b, c] = numeric.slice(1).map(v => (v === undefined ? undefined : Number(v)));
+    // Year first is unambiguous; otherwise the locale decides day/month order
+    if (numeric[1].length === 4) parts = { year: a, month: b, day: c };
+    else if (numeric[1].length <= 2) parts = dayFirst(locale) ? { day: a, month: b, year: c } : { month: a, day: b, year: c };
+    if (!parts || parts.day === undefined) return null;
+  }
+  const named = text.match(/^([a-z]+)\.? (\d{1,2})(?:st|nd|rd|th)?(?:,? (\d{4}))?$/) ||
+                text.match(/^(\d{1,2})(?:st|nd|rd|th)? ([a-z]+)\.?(?:,? (\d{4}))?$/);
+  if (named) {
+    const [monthText, dayText] = /^\d/.test(named[1]) ? [named[2], named[1]] : [named[1], named[2]];
+    const month = MONTH_NAMES[monthText];
+    if (!month) return null;
+    parts = { year: named[3] ? Number(named[3]) : undefined, month, day: Number(dayText) };
+  }
+  if (!parts) return null;
+
+  if (parts.year !== undefined && parts.year < 100) parts.year += 2000;
+  const year = parts.year ?? today.year;
+  if (parts.month < 1 || parts.month > 12 || parts.day < 1 || parts.day > daysIn(year, parts.month)) return null;
+  // No year: this year's, unless that is still to come
+  if (parts.year === undefined && (parts.month > today.month || (parts.month === today.month && parts.day > today.day))) {
+    if (parts.day > daysIn(year - 1, parts.month)) return null;
+    return { year: year - 1, month: parts.month, day: parts.day };
+  }
+  return { year, month: parts.month, day: parts.day };
+}
+
+function dayFirst(locale) {
+  const parts = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'numeric', day: 'numeric' })
+    .formatToParts(new Date(Date.UTC(2026, 11, 31, 12)));
+  return parts.findIndex(p => p.type === 'day') < parts.findIndex(p => p.type === 'month');
+}
+
+// ---- Calendar and time zone arithmetic ----
+
+const wallFormats = new Map();
+
+// The wall-clock fields of an instant in a zone, with weekday 0 = Sunday
+function wallClock(date, timeZone) {
+  let format = wallFormats.get(timeZone);
+  if (!format) {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    });
+    wallFormats.set(timeZone, format);
+  }
+  const parts = Object.fromEntries(format.formatToParts(date).map(p => [p.type, p.value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+  };
+}
+
+// The zone's UTC offset at an instant, in ms
+function offsetAt(ms, timeZone) {
+  const wall = wallClock(new Date(ms), timeZone);
+  return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second) - Math.floor(ms / SECOND) * SECOND;
+}
+
+// The instant a wall-clock time happens in a zone
+function toInstant({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  if (month < 1 || month > 12 || day < 1 || day > daysIn(year, month) || hour > 23 || minute > 59 || second > 59) return null;
+  const local = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Out of Date's range (e.g. "300000 years ago"); Intl would throw on it
+  if (!inRange(local)) return null;
+  const guess = local - offsetAt(local, timeZone);
+  if (!inRange(guess)) return null;
+  return valid(new Date(local - offsetAt(guess, timeZone)));
+}
+
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function pick({ year, month, day }) {
+  return { year, month, day };
+}
+
+function daysIn(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function inRange(ms) {
+  return Number.isFinite(ms) && Math.abs(ms) <= MAX_TIME;
+}
+
+function valid(date) {
+  return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = { parseTime, formatTime, checkTimeOptions, defaultTimeZone, defaultLocale };
@@ -0,0 +1,291 @@
+/**
+ * Memory operations as tools with JSON Schema inputs and structured
+ * results, shared by the MCP server (lib/mcp.js) and the HTTP API
+ * (lib/http-api.js). Run them with memory.callTool(name, args).
+ *
+ * forget and rollback preview unless `confirm: true`, so a model can show
+ * what would change before doing it. A tool backed by an admin-only chat
+ * command (`command`) is refused for identified non-admins, as in chat.
+ */
+
+const { MAX_GRAPH_DEPTH, normalizeTriple } = require('./graph');
+const { allowedTags, ownerTags } = require('./identity');
+
+const session = { type: 'string', description: 'Session ID for undo history (admins only; default: the server\'s session)' };
+
+// The fields a client needs from a memory, whatever the backend returned
+function memoryView(m) {
+  return {
+    id: m.uuid || m.id || null,
+    observation: m.observation,
+    tags: m.tags || [],
+    score: m.score ?? null,
+    created_at: m.created_at || null,
+  };
+}
+
+const TOOLS = [
+  {
+    name: 'remember',
+    description: 'Save a fact to long-term memory.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        observation: { type: 'string', minLength: 1, description: 'The fact to save' },
+        tags: { type: 'array', items: { type: 'string' }, description: 'Tags to attach, e.g. ["stack"] (user:, space:, session: and role: are reserved)' },
+        session,
+      },
+      required: ['observation'],
+    },
+    async run(memory, args, ctx) {
+      // Ownership and session come from the caller, not from tags it makes up
+      const tags = ['explicit', ...(ctx.sessionId ? [`session:${ctx.sessionId}`] : []), ...allowedTags(ctx.user, args.tags || [])];
+      const result = await memory.remember(args.observation, tags, { force: true, user: ctx.user });
+      if (result?.dropped) throw new ToolError('Not saved: the text contains sensitive data that is never stored', { code: 'redacted' });
+      if (!result) throw new ToolError('Failed to save', { code: 'failed' });
+      return {
+        id: result.uuid || result.id || null,
+        observation: result.observation ?? args.observation,
+        tags: [...tags, ...ownerTags(ctx.user)],
+        queued: !!result.queued,
+      };
+    },
+  },
+  {
+    name: 'recall',
+    description: 'Search memory for facts relevant to a query, best match first.',
+    readOnly: true,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', minLength: 1, description: 'What to look for' },
+        limit: { type: 'integer', minimum: 1, maximum: 100, description: 'Most results to return (default 5)' },
+        tags: { type: 'array', items: { type: 'string' }, description: 'Only memories with all of these tags' },
+        since: { type: 'string', description: 'Only memories saved after this, e.g. "2d" or an ISO timestamp' },
+        until: { type: 'string', description: 'Only memories saved before this' },
+      },
+      required: ['query'],
+    },
+    async run(memory, args, ctx) {
+      const opts = { tags: args.tags, since: args.since, until: args.until, user: ctx.user, force: true };
+      let memories;
+      try {
+        memories = await memory.recall(args.query, args.limit || 5, opts);
+      } catch (error) {
+        throw new ToolError(error.message, { code: 'invalid_arguments' });
+      }
+      if (memories.length === 0 && ctx.errors.length > 0) throw new ToolError('Search failed', { code: 'failed' });
+      return { query: args.query, memories: memories.map(memoryView) };
+    },
+  },
+  {
+    name: 'forget',
+    command: 'forget',
+    description: 'Delete memories matching a topic. Without confirm, only lists what would be deleted; ' +
+                 'with confirm, deletes them (or just `ids` among them). Undo restores them.',
+    destructive: true,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', minLength: 1, description: 'Topic of the memories to delete' },
+        confirm: { type: 'boolean', description: 'Delete instead of previewing (default false)' },
+        ids: { type: 'array', items: { type: 'string' }, description: 'Delete only these candidates' },
+        session,
+      },
+      required: ['query'],
+    },
+    async run(memory, args, ctx) {
+      const found = await memory.recall(args.query, 10, { user: ctx.user, force: true });
+      if (found.length === 0 && ctx.errors.length > 0) throw new ToolError('Search failed', { code: 'failed' });
+      let candidates = found.filter(m => (m.score || 0) > memory.forgetThreshold);
+      if (args.ids) candidates = candidates.filter(m => args.ids.includes(m.uuid || m.id));
+      if (!args.confirm) return { query: args.query, confirmed: false, candidates: candidates.map(memoryView) };
+      const { deleted, queued, failed, ids } = await memory.forgetMany(candidates, { sessionId: ctx.sessionId });
+      return { query: args.query, confirmed: true, deleted, queued, failed, ids };
+    },
+  },
+  {
+    name: 'undo',
+    command: 'undo',
+    description: 'Undo the last saves or deletions made in this session.',
+    destructive: true,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        count: { type: 'integer', minimum: 1, maximum: 100, description: 'How many changes to undo (default 1)' },
+        session,
+      },
+    },
+    async run(memory, args, ctx) {
+      const tally = await memory.undo(args.count || 1, ctx.sessionId);
+      return tally || { done: 0, restored: 0, queued: 0, failed: 0, remaining: 0 };
+    },
+  },
+  {
+    name: 'rollback',
+    command: 'rollback',
+    description: 'Rewind memory to a point in time. Without confirm, previews what would change; with confirm, executes it.',
+    destructive: true,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        target: { type: 'string', description: 'Checkpoint name, audit hash, "2h30m", "yesterday 5pm", "last monday" or ISO timestamp (default "1 hour ago")' },
+        confirm: { type: 'boolean', description: 'Execute instead of previewing (default false)' },
+      },
+    },
+    async run(memory, args) {
+      const raw = args.target || '1 hour ago';
+      const resolved = await memory.resolveRollbackTarget(raw);
+      if (!resolved) throw new ToolError(`Could not parse rollback target "${raw}"`, { code: 'invalid_arguments' });
+      const { target, label } = resolved;
+      // `resolved` echoes the target as the caller's zone reads it
+      const when = memory.formatTime(target);
+      if (new Date(target).getTime() > Date.now()) {
+        throw new ToolError(`Rollback target "${raw}" is ${when}, which is in the future`, { code: 'invalid_arguments' });
+      }
+      const result = await memory.rollback(target, { dryRun: !args.confirm });
+      if (!result) throw new ToolError(args.confirm ? 'Rollback failed' : 'Rollback preview failed', { code: 'failed' });
+      return args.confirm
+        ? { target, resolved: when, label, confirmed: true, result }
+        : { target, resolved: when, label, confirmed: false, preview: result };
+    },
+  },
+  {
+    name: 'audit',
+    description: 'List recent memory operations from the tamper-evident audit log, oldest first.',
+    readOnly: true,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 1000, description: 'How many entries (default 10)' },
+        since: { type: 'string', description: 'Only entries after this, e.g. "2h" or "yesterday 9am"' },
+      },
+    },
+    async run(memory, args) {
+      const since = args.since ? memory.parseTime(args.since) : null;
+      if (args.since && !since) throw new ToolError(`Could not parse since "${args.since}"`, { code: 'invalid_arguments' });
+      const data = await memory.audit(args.limit || 10, { since });
+      if (!data) throw new ToolError('Could not fetch the audit log', { code: 'failed' });
+      const entries = (data.entries || []).filter(e => !since || new Date(e.timestamp) >= new Date(since));
+      return { since, entries, total: data.total_count ?? entries.length };
+    },
+  },
+  {
+    name: 'edges',
+    description: 'Query the knowledge graph: triples about an entity, or everything within `depth` hops of it.',
+    readOnly: true,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        entity: { type: 'string', description: 'Subject to look up (all triples if omitted)' },
+        predicate: { type: 'string', description: 'Only this relation' },
+        object: { type: 'string', description: 'Only triples pointing at this entity' },
+        depth: { type: 'integer', minimum: 0, maximum: MAX_GRAPH_DEPTH, description: 'Follow links this many hops from entity (default 0)' },
+        limit: { type: 'integer', minimum: 1, maximum: 500, description: 'Most triples to return' },
+      },
+    },
+    async run(memory, args, ctx) {
+      const depth = args.depth || 0;
+      if (depth && !args.entity) throw new ToolError('depth needs an entity to start from', { code: 'invalid_arguments' });
+      const same = (a, b) => !b || a.toLowerCase() === b.toLowerCase();
+      const triples = depth
+        ? (await memory.neighborhood(args.entity, { depth, limit: args.limit || 50, user: ctx.user })).triples
+          .filter(t => same(t.predicate, args.predicate) && same(t.object, args.object))
+        : (await memory.edges({ subject: args.entity, predicate: args.predicate, object: args.object, limit: args.limit || 50, user: ctx.user }))
+          .map(normalizeTriple);
+      if (triples.length === 0 && ctx.errors.length > 0) throw new ToolError('Could not query the knowledge graph', { code: 'failed' });
+      return { entity: args.entity || null, depth, triples };
+    },
+  },
+];
+
+const BY_NAME = new Map(TOOLS.map(tool => [tool.name, tool]));
+
+/**
+ * A tool that couldn't run or whose operation failed. code is
+ * 'unknown_tool', 'invalid_arguments', 'forbidden', 'redacted' or 'failed'.
+ */
+class ToolError extends Error {
+  constructor(message, { code = 'failed', tool = null } = {}) {
+    super(message);
+    this.name = 'ToolError';
+    this.code = code;
+    this.tool = tool;
+  }
+
+  toJSON() {
+    return { name: this.name, code: this.code, message: this.message };
+  }
+}
+
+/**
+ * What a tool call returned. `ok` is false when the arguments were invalid
+ * or a backend call failed; `error` is the last such error (a ToolError or
+ * NovyxError). A failed call may still carry partial `data`.
+ */
+class ToolResult {
+  constructor({ tool, data = null, errors = [] }) {
+    this.ok = errors.length === 0;
+    this.tool = tool;
+    this.data = data;
+    this.error = errors[errors.length - 1] || null;
+    this.errors = errors;
+  }
+
+  toJSON() {
+    const error = this.error && (this.error.toJSON ? this.error.toJSON() : { name: this.error.name, message: this.error.message });
+    return { ok: this.ok, tool: this.tool, data: this.data, error };
+  }
+}
+
+// Name, description, input schema and MCP hints, for tool listings
+function listTools() {
+  return TOOLS.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    inputSchema: tool.inputSchema,
+    annotations: { readOnlyHint: !!tool.readOnly, destructiveHint: !!tool.destructive },
+  }));
+}
+
+function getTool(name) {
+  return BY_NAME.get(name) || null;
+}
+
+// Checks args against the subset of JSON Schema the tools use; throws ToolError
+function validateArgs(tool, args) {
+  const fail = message => {
+    throw new ToolError(`${tool.name}: ${message}`, { code: 'invalid_arguments', tool: tool.name });
+  };
+  if (args == null || typeof args !== 'object' || Array.isArray(args)) fail('arguments must be an object');
+  const { properties, required = [] } = tool.inputSchema;
+  for (const name of required) {
+    if (args[name] == null) fail(`"${name}" is required`);
+  }
+  for (const [name, value] of Object.entries(args)) {
+    const schema = properties[name];
+    if (!schema) fail(`unknown argument "${name}"`);
+    if (value == null) continue;
+    if (!matchesType(schema, value)) fail(`"${name}" must be ${schema.type === 'array' ? `an array of ${schema.items.type}s` : withArticle(schema.type)}`);
+    if (schema.minLength != null && value.length < schema.minLength) fail(`"${name}" must not be empty`);
+    if (schema.minimum != null && value < schema.minimum) fail(`"${name}" must be at least ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) fail(`"${name}" must be at most ${schema.maximum}`);
+  }
+}
+
+function withArticle(type) {
+  return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+}
+
+function matchesType(schema, value) {
+  switch (schema.type) {
+    case 'string': return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value) && value.every(item => matchesType(schema.items, item));
+    default: return true;
+  }
+}
+
+module.exports = { TOOLS, listTools, getTool, validateArgs, ToolError, ToolResult };
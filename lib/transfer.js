@@ -0,0 +1,158 @@
+/**
+ * Export/import of an agent's memory — backups, audits and moving agents
+ * between API keys or backends.
+ *
+ * JSONL exports hold one record per line:
+ *   { type: 'header', version, exported_at, agentId, backend }
+ *   { type: 'memory', id, observation, tags, created_at }
+ *   { type: 'triple', id, subject, predicate, object, confidence, tags }
+ *
+ * Markdown exports are for people to read; only JSONL can be imported.
+ *
+ * Imports keep an ID map (source ID → new ID) next to the export so an
+ * interrupted import can be resumed without writing anything twice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const graph = require('./graph');
+
+const FORMAT_VERSION = 1;
+const FORMATS = ['jsonl', 'md'];
+
+// Streams records to `file`; returns { memories, triples }. On any failure
+// the partly written file is removed and the error rethrown
+async function writeExport(records, file, format = 'jsonl') {
+  if (!FORMATS.includes(format)) throw new Error(`Unknown export format "${format}" (use ${FORMATS.join(' or ')})`);
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  // Opening first surfaces EISDIR, EACCES and the like as a rejection, not a stream 'error' event
+  const out = await fs.promises.open(file, 'w');
+  const counts = { memories: 0, triples: 0 };
+  const markdown = format === 'md' ? new MarkdownFormatter() : null;
+  try {
+    for await (const record of records) {
+      if (record.type === 'memory') counts.memories++;
+      if (record.type === 'triple') counts.triples++;
+      await out.write(markdown ? markdown.format(record) : `${JSON.stringify(record)}\n`);
+    }
+    if (markdown) await out.write(markdown.finish());
+    await out.close();
+  } catch (error) {
+    await out.close().catch(() => {});
+    await fs.promises.rm(file, { force: true });
+    throw error;
+  }
+  return counts;
+}
+
+// Yields parsed records from a JSONL export, one line at a time
+async function* readRecords(file) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let lineNo = 0;
+  for await (const line of lines) {
+    lineNo++;
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      throw new Error(`${path.basename(file)} line ${lineNo} is not valid JSON (only JSONL exports can be imported)`);
+    }
+    yield record;
+  }
+}
+
+class MarkdownFormatter {
+  constructor() {
+    this.section = null;
+  }
+
+  format(record) {
+    if (record.type === 'header') {
+      return '# Novyx Memory Export\n\n' +
+             `- Agent: ${record.agentId}\n` +
+             `- Backend: ${record.backend}\n` +
+             `- Exported: ${record.exported_at}\n`;
+    }
+    let out = '';
+    if (record.type !== this.section) {
+      this.section = record.type;
+      out += record.type === 'memory' ? '\n## Memories\n\n' : '\n## Knowledge Graph\n\n';
+    }
+    if (record.type === 'memory') {
+      const tags = record.tags?.length > 0 ? ` ${record.tags.map(t => `\`${t}\``).join(' ')}` : '';
+      const date = record.created_at ? `**${record.created_at}** ` : '';
+      return `${out}- ${date}${record.observation.replace(/\s*\n\s*/g, ' ')}${tags}\n`;
+    }
+    if (record.type === 'triple') return `${out}- ${graph.formatTriple(record)}\n`;
+    return out;
+  }
+
+  finish() {
+    return this.section ? '' : '\n*No memories.*\n';
+  }
+}
+
+/**
+ * Source ID → imported ID, persisted as JSON. Saved every `flushEvery`
+ * writes; anything lost in a crash is caught by the importer's dedupe.
+ */
+class IdMap {
+  constructor({ file, flushEvery = 25 }) {
+    this.file = path.resolve(file);
+    this.flushEvery = flushEvery;
+    this._dirty = 0;
+    const state = this._read();
+    this.source = state.source || null;
+    this.memories = state.memories || {};
+    this.triples = state.triples || {};
+  }
+
+  get(kind, sourceId) {
+    return this[kind][sourceId] || null;
+  }
+
+  set(kind, sourceId, id) {
+    this[kind][sourceId] = id;
+    if (++this._dirty >= this.flushEvery) this.save();
+  }
+
+  save() {
+    this._dirty = 0;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    const state = { source: this.source, memories: this.memories, triples: this.triples };
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+
+  _read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+}
+
+/**
+ * `name` inside `dir`, for paths typed in chat. Throws on absolute paths,
+ * `..` and names that are `dir` itself, so a chat message can't read or
+ * overwrite files elsewhere.
+ */
+function resolveInside(dir, name) {
+  const resolved = path.join(dir, name);
+  if (path.isAbsolute(name) || name.split(/[\\/]/).includes('..') || path.resolve(resolved) === path.resolve(dir)) {
+    throw new Error(`"${name}" must be a file name under ${dir} (no absolute paths or "..")`);
+  }
+  return resolved;
+}
+
+// Triples exported without an ID are keyed by their content
+function recordKey(t) {
+  return t.id || graph.tripleKey(t);
+}
+
+module.exports = { FORMAT_VERSION, FORMATS, writeExport, readRecords, IdMap, recordKey, resolveInside };